@@ -0,0 +1,30 @@
+// scripts/classifyRecipes.js
+// Classify allergens and diets of every recipe, e.g. to backfill recipes
+// saved before classification existed or after the dietary data changed.
+// Unclassified recipes are left out of diet filters and allergy-safe lists.
+//
+//   npm run dietary:classify
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const { connectRedis } = require('../src/config/redis');
+const recipeService = require('../src/services/recipe.service');
+
+const main = async () => {
+  await connectDB();
+  await connectRedis();
+  
+  const { checked, updated } = await recipeService.classifyAll();
+  console.log(`Dietary classification updated for ${updated} of ${checked} recipes`);
+};
+
+main()
+  .catch((error) => {
+    console.error(`Classifying recipes failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    // The Redis client keeps the process alive otherwise
+    process.exit();
+  });
\ No newline at end of file
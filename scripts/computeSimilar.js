@@ -0,0 +1,23 @@
+// scripts/computeSimilar.js
+// Compute similar recipes now instead of waiting for the nightly job,
+// e.g. after a deploy or a bulk import.
+//
+//   npm run similar:compute
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const similarityService = require('../src/services/similarity.service');
+
+const main = async () => {
+  await connectDB();
+  
+  const { updated } = await similarityService.computeAll();
+  console.log(`Similar recipes computed for ${updated} recipes`);
+};
+
+main()
+  .catch((error) => {
+    console.error(`Computing similar recipes failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,115 @@
+// scripts/importRecipes.js
+// Bulk import recipes from a CSV or JSON file, the same way as
+// POST /api/v1/recipes/import.
+//
+//   npm run import:recipes -- recipes.csv --author admin@ghanarecipes.com
+//
+// Options:
+//   --author <email>  user the recipes are created for (required)
+//   --dry-run         validate and report without inserting anything
+//   --draft           create the recipes as drafts instead of publishing them
+//   --key <key>       idempotency key; defaults to a hash of the file's rows
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const { connectRedis } = require('../src/config/redis');
+const User = require('../src/models/user.model');
+const importService = require('../src/services/import.service');
+
+const USAGE = 'Usage: node scripts/importRecipes.js <file.csv|file.json> --author <email> [--dry-run] [--draft] [--key <key>]';
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, draft: false };
+  
+  for (let i = 0; i < argv.length; i += 1) {
+    switch (argv[i]) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--draft':
+        args.draft = true;
+        break;
+      case '--author':
+        args.author = argv[i += 1];
+        break;
+      case '--key':
+        args.key = argv[i += 1];
+        break;
+      default:
+        args.file = argv[i];
+    }
+  }
+  
+  return args;
+};
+
+const printReport = ({ job, replayed, dryRun }) => {
+  if (replayed) {
+    console.log(`Import ${job.key} already ran (${job.status}); showing its report.`);
+  } else if (dryRun) {
+    console.log('Dry run - nothing was inserted.');
+  }
+  
+  job.rows
+    .filter(row => row.issues && row.issues.length > 0)
+    .forEach((row) => {
+      console.log(`Row ${row.row} (${row.status}):`);
+      row.issues.forEach(issue => console.log(`  ${issue.field}: ${issue.message}`));
+    });
+  
+  const { totals } = job;
+  console.log(
+    `${totals.rows} rows: ${totals.valid} valid, ${totals.invalid} invalid, `
+    + `${totals.inserted} inserted, ${totals.duplicates} duplicates, ${totals.failed} failed`
+  );
+  
+  return totals.invalid + totals.failed > 0 ? 1 : 0;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (!args.file || !args.author) {
+    console.error(USAGE);
+    return 1;
+  }
+  
+  const format = path.extname(args.file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const rows = importService.parse(await fs.readFile(args.file, 'utf8'), format);
+  
+  await connectDB();
+  await connectRedis();
+  
+  const author = await User.findOne({ email: args.author.toLowerCase() });
+  
+  if (!author) {
+    console.error(`No user with email ${args.author}`);
+    return 1;
+  }
+  
+  const result = await importService.run(rows, {
+    format,
+    key: args.key,
+    dryRun: args.dryRun,
+    draft: args.draft,
+    author: author._id
+  });
+  
+  return printReport(result);
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    // The Redis client keeps the process alive otherwise
+    process.exit();
+  });
\ No newline at end of file
@@ -0,0 +1,29 @@
+// scripts/recomputeRatings.js
+// Recompute every recipe's ratings from its reviews, e.g. to backfill the
+// weighted rating or after reviews were changed directly in the database.
+//
+//   npm run ratings:recompute
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const { connectRedis } = require('../src/config/redis');
+const reviewService = require('../src/services/review.service');
+
+const main = async () => {
+  await connectDB();
+  await connectRedis();
+  
+  await reviewService.recomputeAll();
+  console.log('Recipe ratings recomputed');
+};
+
+main()
+  .catch((error) => {
+    console.error(`Recomputing ratings failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    // The Redis client keeps the process alive otherwise
+    process.exit();
+  });
\ No newline at end of file
@@ -0,0 +1,31 @@
+// scripts/similarityWorker.js
+// Worker process that computes similar recipes on SIMILARITY_CRON. The
+// computation keeps the CPU busy for its whole run, so it lives here
+// instead of in the API server.
+//
+//   npm run worker:similar
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const { scheduleSimilarityJob } = require('../src/jobs/similarity');
+
+const main = async () => {
+  await connectDB();
+  
+  const task = scheduleSimilarityJob();
+  console.log('Similarity worker started');
+  
+  const shutdown = async () => {
+    task.stop();
+    await mongoose.disconnect();
+    process.exit();
+  };
+  
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(`Similarity worker failed to start: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -13,6 +13,8 @@ const { connectDB } = require('./src/config/database');
 const { connectRedis } = require('./src/config/redis');
 const errorMiddleware = require('./src/api/middlewares/error.middleware');
 const logger = require('./src/utils/logger');
+const { scheduleTrendingRollup } = require('./src/jobs/trending');
+const { scheduleViewFlush } = require('./src/jobs/viewFlush');
 
 // Import routes
 const authRoutes = require('./src/api/routes/auth.routes');
@@ -21,6 +23,11 @@ const mealPlanRoutes = require('./src/api/routes/mealPlan.routes');
 const shoppingListRoutes = require('./src/api/routes/shoppingList.routes');
 const userRoutes = require('./src/api/routes/user.routes');
 const paymentRoutes = require('./src/api/routes/payment.routes');
+const translationRoutes = require('./src/api/routes/translation.routes');
+const feedRoutes = require('./src/api/routes/feed.routes');
+const reviewRoutes = require('./src/api/routes/review.routes');
+const reportRoutes = require('./src/api/routes/report.routes');
+const collectionRoutes = require('./src/api/routes/collection.routes');
 
 // Initialize express app
 const app = express();
@@ -69,6 +76,11 @@ app.use('/api/v1/meal-plans', mealPlanRoutes);
 app.use('/api/v1/shopping-lists', shoppingListRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/translations', translationRoutes);
+app.use('/api/v1/feed', feedRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/reports', reportRoutes);
+app.use('/api/v1/collections', collectionRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -124,6 +136,13 @@ server.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs. Similar recipes are computed by their own worker
+// (npm run worker:similar) so scoring never blocks requests.
+if (process.env.NODE_ENV !== 'test') {
+  scheduleTrendingRollup();
+  scheduleViewFlush();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
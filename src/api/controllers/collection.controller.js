@@ -0,0 +1,316 @@
+// src/api/controllers/collection.controller.js
+const mongoose = require('mongoose');
+const Collection = require('../../models/collection.model');
+const Recipe = require('../../models/recipe.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const collectionService = require('../../services/collection.service');
+const storageService = require('../../services/storage.service');
+
+const MAX_COLLECTIONS_PAGE = 50;
+const COLLECTION_FIELDS = ['name', 'description', 'privacy'];
+
+const shareUrl = token => `${process.env.CLIENT_URL}/collections/shared/${token}`;
+
+// Load a collection the current user owns, or report why they can't
+// change it
+const loadOwnCollection = async (req, next, select = '') => {
+  const collection = await Collection.findById(req.params.id).select(select);
+  
+  if (!collection) {
+    next(new ErrorResponse('Collection not found', 404));
+    return null;
+  }
+  
+  if (!collection.isOwnedBy(req.user)) {
+    next(new ErrorResponse('Not authorized to change this collection', 403));
+    return null;
+  }
+  
+  return collection;
+};
+
+const uploadCover = async (file) => {
+  const result = await storageService.uploadImage(file);
+  return result.secure_url;
+};
+
+// @desc    Browse public collections
+// @route   GET /api/v1/collections?search=&owner=
+// @access  Public
+exports.getCollections = asyncHandler(async (req, res, next) => {
+  const { search, owner } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_COLLECTIONS_PAGE);
+  
+  const query = { privacy: 'public', recipeCount: { $gt: 0 } };
+  
+  if (search) {
+    query.$text = { $search: search };
+  }
+  
+  if (owner) {
+    if (!mongoose.isValidObjectId(owner)) {
+      return next(new ErrorResponse('Invalid owner', 400));
+    }
+    query.owner = owner;
+  }
+  
+  const collections = await Collection.find(query)
+    .select('-recipes')
+    .populate('owner', 'name avatar')
+    .sort('-updatedAt')
+    .limit(limit)
+    .skip((page - 1) * limit);
+  
+  const total = await Collection.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: page,
+    data: collections
+  });
+});
+
+// @desc    Get the current user's collections
+// @route   GET /api/v1/collections/mine
+// @access  Private
+exports.getMyCollections = asyncHandler(async (req, res, next) => {
+  const collections = await Collection.find({ owner: req.user.id })
+    .select('-recipes')
+    .sort('-updatedAt');
+  
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    data: collections
+  });
+});
+
+// @desc    Get a collection
+// @route   GET /api/v1/collections/:id
+// @access  Public (public collections) / Private (owner)
+exports.getCollection = asyncHandler(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new ErrorResponse('Collection not found', 404));
+  }
+  
+  const collection = await collectionService.findWithRecipes({ _id: req.params.id });
+  
+  // Unlisted collections are only reachable through their share link
+  if (!collection || !collectionService.canView(collection, req.user)) {
+    return next(new ErrorResponse('Collection not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: collectionService.toView(collection, req.user, req.language)
+  });
+});
+
+// @desc    Get a collection through its share link
+// @route   GET /api/v1/collections/shared/:token
+// @access  Public
+exports.getSharedCollection = asyncHandler(async (req, res, next) => {
+  const collection = await collectionService.findWithRecipes({ shareToken: req.params.token });
+  
+  if (!collection || !collectionService.canView(collection, req.user, { viaShareLink: true })) {
+    return next(new ErrorResponse('Collection not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: collectionService.toView(collection, req.user, req.language)
+  });
+});
+
+// @desc    Create a collection
+// @route   POST /api/v1/collections
+// @access  Private
+exports.createCollection = asyncHandler(async (req, res, next) => {
+  const collection = new Collection({
+    ...COLLECTION_FIELDS.reduce((fields, field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+      return fields;
+    }, {}),
+    owner: req.user.id
+  });
+  
+  // Check the fields before uploading anything
+  await collection.validate();
+  
+  if (req.file) {
+    collection.coverImage = await uploadCover(req.file);
+  }
+  
+  await collection.save();
+  
+  res.status(201).json({
+    success: true,
+    data: collection
+  });
+});
+
+// @desc    Update a collection's name, description, privacy or cover
+// @route   PUT /api/v1/collections/:id
+// @access  Private (owner)
+exports.updateCollection = asyncHandler(async (req, res, next) => {
+  const collection = await loadOwnCollection(req, next, '-recipes');
+  if (!collection) return;
+  
+  COLLECTION_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      collection[field] = req.body[field];
+    }
+  });
+  
+  await collection.validate();
+  
+  const oldCover = collection.coverImage;
+  
+  if (req.file) {
+    collection.coverImage = await uploadCover(req.file);
+  } else if (req.body.removeCover === 'true' || req.body.removeCover === true) {
+    collection.coverImage = undefined;
+  }
+  
+  await collection.save();
+  
+  if (oldCover && oldCover !== collection.coverImage) {
+    await storageService.deleteImage(oldCover);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: collection
+  });
+});
+
+// @desc    Delete a collection
+// @route   DELETE /api/v1/collections/:id
+// @access  Private (owner)
+exports.deleteCollection = asyncHandler(async (req, res, next) => {
+  const collection = await loadOwnCollection(req, next, '-recipes');
+  if (!collection) return;
+  
+  await collection.deleteOne();
+  
+  if (collection.coverImage) {
+    await storageService.deleteImage(collection.coverImage);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Add a recipe to a collection
+// @route   POST /api/v1/collections/:id/recipes
+// @access  Private (owner)
+exports.addRecipe = asyncHandler(async (req, res, next) => {
+  const { recipeId, note, position } = req.body;
+  
+  const collection = await loadOwnCollection(req, next, '-recipes');
+  if (!collection) return;
+  
+  const recipe = mongoose.isValidObjectId(recipeId)
+    ? await Recipe.findById(recipeId).select('published author')
+    : null;
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  const updated = await collectionService.addRecipe(collection._id, recipe._id, {
+    note,
+    position: position === undefined ? undefined : parseInt(position)
+  });
+  
+  if (!updated) {
+    return next(new ErrorResponse(
+      collection.recipeCount >= collectionService.maxRecipes
+        ? `A collection can hold up to ${collectionService.maxRecipes} recipes`
+        : 'This recipe is already in the collection',
+      400
+    ));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
+
+// @desc    Remove a recipe from a collection
+// @route   DELETE /api/v1/collections/:id/recipes/:recipeId
+// @access  Private (owner)
+exports.removeRecipe = asyncHandler(async (req, res, next) => {
+  const collection = await loadOwnCollection(req, next, '-recipes');
+  if (!collection) return;
+  
+  const updated = mongoose.isValidObjectId(req.params.recipeId)
+    ? await collectionService.removeRecipe(collection._id, req.params.recipeId)
+    : null;
+  
+  if (!updated) {
+    return next(new ErrorResponse('This recipe is not in the collection', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
+
+// @desc    Reorder the recipes of a collection
+// @route   PUT /api/v1/collections/:id/recipes/order
+// @access  Private (owner)
+exports.reorderRecipes = asyncHandler(async (req, res, next) => {
+  const { recipeIds } = req.body;
+  
+  if (!Array.isArray(recipeIds)) {
+    return next(new ErrorResponse('Please provide recipeIds in the new order', 400));
+  }
+  
+  const collection = await loadOwnCollection(req, next);
+  if (!collection) return;
+  
+  if (!collectionService.reorder(collection, recipeIds)) {
+    return next(new ErrorResponse('recipeIds must list every recipe in the collection exactly once', 400));
+  }
+  
+  await collection.save();
+  
+  res.status(200).json({
+    success: true,
+    data: collection
+  });
+});
+
+// @desc    Get or replace the share link of a collection. Replacing it
+//          stops the old link from working.
+// @route   POST /api/v1/collections/:id/share?rotate=true
+// @access  Private (owner)
+exports.shareCollection = asyncHandler(async (req, res, next) => {
+  const collection = await loadOwnCollection(req, next, '-recipes +shareToken');
+  if (!collection) return;
+  
+  if (req.query.rotate === 'true') {
+    collection.shareToken = Collection.generateShareToken();
+    await collection.save();
+  }
+  
+  // A private collection has to be made unlisted or public for the link
+  // to work
+  res.status(200).json({
+    success: true,
+    data: {
+      privacy: collection.privacy,
+      shareUrl: shareUrl(collection.shareToken)
+    }
+  });
+});
\ No newline at end of file
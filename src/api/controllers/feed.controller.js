@@ -0,0 +1,38 @@
+// src/api/controllers/feed.controller.js
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const feedService = require('../../services/feed.service');
+const { decodeCursor } = require('../../utils/cursor');
+const { localizeRecipes, ALL_LANGUAGES } = require('../../utils/i18n');
+
+const MAX_FEED_PAGE = 50;
+
+// @desc    Get the user's personalised home feed
+// @route   GET /api/v1/feed?cursor=&limit=20
+// @access  Private
+exports.getFeed = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_FEED_PAGE);
+  let cursor = null;
+  
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    
+    if (!cursor || typeof cursor.snapshot !== 'string' || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+      return next(new ErrorResponse('Invalid feed cursor', 400));
+    }
+  }
+  
+  const page = await feedService.getPage(req.user, { cursor, limit, params: req.query });
+  
+  if (!page) {
+    return next(new ErrorResponse('This feed has expired, load it again without a cursor', 410));
+  }
+  
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    nextCursor: page.nextCursor,
+    language: req.language || ALL_LANGUAGES,
+    data: req.language ? localizeRecipes(page.data, req.language) : page.data
+  });
+});
\ No newline at end of file
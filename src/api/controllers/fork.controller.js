@@ -0,0 +1,77 @@
+// src/api/controllers/fork.controller.js
+const Recipe = require('../../models/recipe.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const authService = require('../../services/auth.service');
+const emailService = require('../../services/email.service');
+const forkService = require('../../services/fork.service');
+const logger = require('../../utils/logger');
+const { localizeRecipe, localizeRecipes } = require('../../utils/i18n');
+
+// Points earned by an author each time someone forks their recipe
+const FORK_POINTS = 10;
+const MAX_LINEAGE_FORKS = 50;
+
+// @desc    Fork a recipe into the current user's drafts
+// @route   POST /api/v1/recipes/:id/fork
+// @access  Private
+exports.forkRecipe = asyncHandler(async (req, res, next) => {
+  const parent = await Recipe.findById(req.params.id)
+    .populate('author', 'name email');
+  
+  if (!parent || !parent.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  // Check if premium recipe and user has access
+  if (parent.premium && req.user.subscription.status === 'free') {
+    return next(new ErrorResponse('Premium subscription required', 403));
+  }
+  
+  const fork = await forkService.fork(parent, req.user);
+  
+  // Authors earn nothing for forking their own recipes
+  if (parent.author && parent.author._id.toString() !== req.user.id) {
+    await authService.awardPoints(parent.author._id, FORK_POINTS, 'recipe_forked');
+    
+    // The fork stands even if the email can't be delivered
+    emailService
+      .sendRecipeForkedEmail(parent.author, parent, req.user, FORK_POINTS)
+      .catch(error => logger.error(`Fork email failed for recipe ${parent._id}: ${error.message}`));
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: fork
+  });
+});
+
+// @desc    Get a recipe's ancestors and most popular forks
+// @route   GET /api/v1/recipes/:id/lineage?limit=10
+// @access  Public
+exports.getRecipeLineage = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LINEAGE_FORKS);
+  
+  const recipe = await Recipe.findById(req.params.id)
+    .select('name slug images premium published author forkedFrom lineage forkCount')
+    .populate('author', 'name avatar');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  const { ancestors, forks, totalForks } = await forkService.getLineage(recipe, req.user, { limit });
+  
+  // Placeholders for unavailable ancestors have nothing to translate
+  const localize = entry => (req.language && !entry.unavailable ? localizeRecipe(entry, req.language) : entry);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: localize(recipe),
+      ancestors: ancestors.map(localize),
+      forks: req.language ? localizeRecipes(forks, req.language) : forks,
+      totalForks
+    }
+  });
+});
\ No newline at end of file
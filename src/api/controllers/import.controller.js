@@ -0,0 +1,63 @@
+// src/api/controllers/import.controller.js
+const ImportJob = require('../../models/importJob.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const importService = require('../../services/import.service');
+
+// @desc    Bulk import recipes from CSV or JSON
+// @route   POST /api/v1/recipes/import?dryRun=true&draft=true
+// @access  Private/Admin
+exports.importRecipes = asyncHandler(async (req, res, next) => {
+  const format = req.is('text/csv') ? 'csv' : 'json';
+  let rows;
+  
+  try {
+    rows = importService.parse(req.body, format);
+  } catch (error) {
+    return next(new ErrorResponse(`Could not read the import: ${error.message}`, 400));
+  }
+  
+  if (rows.length === 0) {
+    return next(new ErrorResponse('The import contains no recipes', 400));
+  }
+  
+  if (rows.length > importService.maxRows) {
+    return next(new ErrorResponse(`Imports are limited to ${importService.maxRows} rows`, 413));
+  }
+  
+  const { job, replayed, dryRun } = await importService.run(rows, {
+    format,
+    key: req.get('Idempotency-Key'),
+    dryRun: req.query.dryRun === 'true',
+    draft: req.query.draft === 'true',
+    author: req.user.id
+  });
+  
+  if (replayed && job.status === 'processing') {
+    return next(new ErrorResponse('An import with this key is still running', 409));
+  }
+  
+  res.status(dryRun || replayed ? 200 : 201).json({
+    success: true,
+    dryRun: !!dryRun,
+    replayed: !!replayed,
+    data: job
+  });
+});
+
+// @desc    Get an import job and its row report
+// @route   GET /api/v1/recipes/import/:jobId
+// @access  Private/Admin
+exports.getImportJob = asyncHandler(async (req, res, next) => {
+  const job = await ImportJob.findById(req.params.jobId)
+    .populate('createdBy', 'name email');
+  
+  if (!job) {
+    return next(new ErrorResponse('Import job not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
\ No newline at end of file
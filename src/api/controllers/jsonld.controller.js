@@ -0,0 +1,101 @@
+// src/api/controllers/jsonld.controller.js
+const Recipe = require('../../models/recipe.model');
+const User = require('../../models/user.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const recipeService = require('../../services/recipe.service');
+const jsonLdService = require('../../services/jsonld.service');
+const revisionService = require('../../services/revision.service');
+const { DEFAULT_LANGUAGE } = require('../../utils/i18n');
+
+// @desc    Get recipe as schema.org Recipe JSON-LD
+// @route   GET /api/v1/recipes/:id/jsonld
+// @access  Public
+exports.exportRecipeJsonLd = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id)
+    .populate('author', 'name');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  // Check if premium recipe and user has access
+  if (recipe.premium && (!req.user || req.user.subscription.status === 'free')) {
+    return next(new ErrorResponse('Premium subscription required', 403));
+  }
+  
+  // Structured data describes one language; ?lang=all falls back to English
+  const jsonLd = jsonLdService.exportRecipe(recipe, req.language || DEFAULT_LANGUAGE);
+  
+  res.status(200).type('application/ld+json').json(jsonLd);
+});
+
+// @desc    Import a recipe from schema.org Recipe JSON-LD
+// @route   POST /api/v1/recipes/import/jsonld?dryRun=true
+// @access  Private
+exports.importRecipeJsonLd = asyncHandler(async (req, res, next) => {
+  const { data, report } = jsonLdService.importRecipe(req.body);
+  
+  if (data) {
+    data.author = req.user.id;
+    
+    // Community recipes start as drafts and go through review
+    if (req.user.role === 'user') {
+      data.status = 'draft';
+      data.source = 'user_submitted';
+    }
+  }
+  
+  const recipe = data && new Recipe(data);
+  
+  if (recipe) {
+    try {
+      await recipe.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      
+      Object.entries(error.errors).forEach(([field, fieldError]) => {
+        report.errors.push({ field, message: fieldError.message });
+      });
+    }
+  }
+  
+  // The report is the useful part of a failed import, so it is returned
+  // alongside the error
+  if (report.errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Recipe could not be imported',
+      report
+    });
+  }
+  
+  if (req.query.dryRun === 'true') {
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      data: recipe,
+      report
+    });
+  }
+  
+  await recipe.save();
+  
+  // First revision is the recipe as imported
+  await revisionService.record(recipe, req.user.id);
+  
+  await User.findByIdAndUpdate(
+    req.user.id,
+    { $push: { createdRecipes: recipe._id } }
+  );
+  
+  if (recipe.published) {
+    await recipeService.invalidateRecipes(recipe._id, { membership: true });
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: recipe,
+    report
+  });
+});
\ No newline at end of file
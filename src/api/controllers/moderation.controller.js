@@ -0,0 +1,213 @@
+// src/api/controllers/moderation.controller.js
+const Recipe = require('../../models/recipe.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const recipeService = require('../../services/recipe.service');
+const emailService = require('../../services/email.service');
+const logger = require('../../utils/logger');
+
+// Move a recipe to a new status, or report why it can't be moved
+const transition = (recipe, status, next) => {
+  if (!recipe.canTransitionTo(status)) {
+    next(new ErrorResponse(`Cannot move a ${recipe.status} recipe to ${status}`, 400));
+    return false;
+  }
+  
+  recipe.status = status;
+  return true;
+};
+
+const addNote = (recipe, userId, note) => {
+  if (note) {
+    recipe.moderation.notes.push({ author: userId, note });
+  }
+};
+
+// @desc    Submit recipe for review
+// @route   POST /api/v1/recipes/:id/submit
+// @access  Private (author)
+exports.submitRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  if (recipe.author.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to submit this recipe', 403));
+  }
+  
+  if (!transition(recipe, 'submitted', next)) return;
+  
+  recipe.moderation.submittedAt = Date.now();
+  recipe.moderation.rejectionReason = undefined;
+  await recipe.save();
+  
+  res.status(200).json({
+    success: true,
+    data: recipe
+  });
+});
+
+// @desc    Get recipes waiting for review
+// @route   GET /api/v1/recipes/review-queue
+// @access  Private/Admin
+exports.getReviewQueue = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+  
+  const query = {
+    status: status === 'submitted' || status === 'in_review'
+      ? status
+      : { $in: ['submitted', 'in_review'] }
+  };
+  
+  // Oldest submissions first
+  const recipes = await Recipe.find(query)
+    .populate('author', 'name email avatar')
+    .populate('moderation.reviewer', 'name')
+    .sort('moderation.submittedAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+  
+  const total = await Recipe.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: recipes.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: recipes
+  });
+});
+
+// @desc    Start reviewing a submitted recipe
+// @route   POST /api/v1/recipes/:id/review/start
+// @access  Private/Admin
+exports.startReview = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  if (!transition(recipe, 'in_review', next)) return;
+  
+  recipe.moderation.reviewer = req.user.id;
+  recipe.moderation.reviewStartedAt = Date.now();
+  await recipe.save();
+  
+  res.status(200).json({
+    success: true,
+    data: recipe
+  });
+});
+
+// @desc    Add a reviewer note
+// @route   POST /api/v1/recipes/:id/review/notes
+// @access  Private/Admin
+exports.addReviewNote = asyncHandler(async (req, res, next) => {
+  if (!req.body.note) {
+    return next(new ErrorResponse('Please provide a note', 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  addNote(recipe, req.user.id, req.body.note);
+  await recipe.save({ validateModifiedOnly: true });
+  
+  res.status(201).json({
+    success: true,
+    data: recipe.moderation.notes
+  });
+});
+
+// @desc    Approve a recipe under review
+// @route   POST /api/v1/recipes/:id/review/approve
+// @access  Private/Admin
+exports.approveRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  if (!transition(recipe, 'approved', next)) return;
+  
+  recipe.moderation.reviewer = req.user.id;
+  recipe.moderation.reviewedAt = Date.now();
+  addNote(recipe, req.user.id, req.body.note);
+  await recipe.save();
+  
+  res.status(200).json({
+    success: true,
+    data: recipe
+  });
+});
+
+// @desc    Reject a recipe under review
+// @route   POST /api/v1/recipes/:id/review/reject
+// @access  Private/Admin
+exports.rejectRecipe = asyncHandler(async (req, res, next) => {
+  const { reason, note } = req.body;
+  
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a rejection reason', 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id)
+    .populate('author', 'name email');
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  if (!transition(recipe, 'rejected', next)) return;
+  
+  recipe.moderation.reviewer = req.user.id;
+  recipe.moderation.reviewedAt = Date.now();
+  recipe.moderation.rejectionReason = reason;
+  addNote(recipe, req.user.id, note);
+  await recipe.save();
+  
+  // The rejection stands even if the email can't be delivered
+  emailService
+    .sendRecipeRejectedEmail(recipe.author, recipe, reason, recipe.moderation.notes)
+    .catch(error => logger.error(`Rejection email failed for recipe ${recipe._id}: ${error.message}`));
+  
+  res.status(200).json({
+    success: true,
+    data: recipe
+  });
+});
+
+// @desc    Publish an approved recipe
+// @route   POST /api/v1/recipes/:id/publish
+// @access  Private (author or admin)
+exports.publishRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  if (!recipe.isOwnedBy(req.user)) {
+    return next(new ErrorResponse('Not authorized to publish this recipe', 403));
+  }
+  
+  if (!transition(recipe, 'published', next)) return;
+  
+  await recipe.save();
+  
+  // Newly published recipes must show up in cached listings
+  await recipeService.invalidateRecipes(recipe._id, { membership: true });
+  
+  res.status(200).json({
+    success: true,
+    data: recipe
+  });
+});
\ No newline at end of file
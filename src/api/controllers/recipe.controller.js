@@ -1,92 +1,246 @@
 // src/api/controllers/recipe.controller.js
 const Recipe = require('../../models/recipe.model');
+const User = require('../../models/user.model');
 const asyncHandler = require('../../utils/asyncHandler');
 const ErrorResponse = require('../../utils/errorResponse');
 const cacheService = require('../../services/cache.service');
+const collectionService = require('../../services/collection.service');
+const forkService = require('../../services/fork.service');
+const recipeService = require('../../services/recipe.service');
+const revisionService = require('../../services/revision.service');
+const reviewService = require('../../services/review.service');
+const translationService = require('../../services/translation.service');
 const storageService = require('../../services/storage.service');
 const analyticsService = require('../../services/analytics.service');
+const renderService = require('../../services/render.service');
+const similarityService = require('../../services/similarity.service');
+const trendingService = require('../../services/trending.service');
+const viewCounterService = require('../../services/viewCounter.service');
+const { MEASUREMENT_SYSTEMS } = require('../../utils/units');
+const { GHANA_REGIONS, RECIPE_WORKFLOW_FIELDS, RECIPE_DERIVED_FIELDS } = require('../../utils/constants');
+const { localizeRecipe, localizeRecipes, ALL_LANGUAGES, DEFAULT_LANGUAGE } = require('../../utils/i18n');
+const { recipeValidators, recipeListValidators, isFresh } = require('../../utils/httpCache');
+
+const MAX_SCALED_SERVINGS = 100;
+const MAX_PANTRY_ITEMS = 50;
+const MAX_RECIPES_PAGE = 100;
+const MAX_SIMILAR_RECIPES = 30;
+const MAX_TRENDING_RECIPES = 50;
+
+// Servings left undefined keep the recipe's own servings
+const getScalingError = (servings, units) => {
+  if (servings !== undefined && (!servings || servings < 1 || servings > MAX_SCALED_SERVINGS)) {
+    return `Servings must be between 1 and ${MAX_SCALED_SERVINGS}`;
+  }
+  
+  if (units && !MEASUREMENT_SYSTEMS.includes(units)) {
+    return `Units must be one of: ${MEASUREMENT_SYSTEMS.join(', ')}`;
+  }
+  
+  return null;
+};
+
+// Send a list response, fresh or from Redis, or a 304 when the client's
+// copy is current. The cache key carries the tier, language and query.
+const sendRecipeList = (req, res, cacheKey, response) => {
+  const { data, ...meta } = response;
+  
+  if (isFresh(req, res, recipeListValidators(data, [cacheKey, JSON.stringify(meta)]))) {
+    return res.status(304).end();
+  }
+  
+  return res.status(200).json(response);
+};
 
 // @desc    Get all recipes
-// @route   GET /api/v1/recipes
+// @route   GET /api/v1/recipes?sort=-createdAt&limit=20&cursor= (or &page=)
 // @access  Public
 exports.getRecipes = asyncHandler(async (req, res, next) => {
-  const {
-    page = 1,
-    limit = 20,
-    category,
-    region,
-    difficulty,
-    maxCost,
-    maxTime,
-    dietary,
-    search,
-    sort = '-createdAt'
-  } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_RECIPES_PAGE);
+  const sort = recipeService.parseSort(req.query.sort);
+  
+  if (!sort) {
+    const sorts = recipeService.getListSorts();
+    return next(new ErrorResponse(`Sort must be one of: ${sorts.join(', ')}, optionally prefixed with -`, 400));
+  }
   
-  // Check cache
-  const cacheKey = `recipes:${JSON.stringify(req.query)}`;
+  let cursor = null;
+  
+  if (req.query.cursor) {
+    cursor = recipeService.decodeListCursor(req.query.cursor, sort);
+    
+    if (!cursor) {
+      return next(new ErrorResponse('Invalid cursor for this sort', 400));
+    }
+  }
+  
+  // Check cache - keyed by access tier, the resolved language (not just
+  // ?lang=) and the user's allergy and diet restrictions
+  const cacheKey = recipeService.getCacheKey('list', {
+    user: req.user,
+    language: req.language,
+    params: req.query
+  });
   const cachedData = await cacheService.get(cacheKey);
   
   if (cachedData) {
-    return res.status(200).json(JSON.parse(cachedData));
+    return sendRecipeList(req, res, cacheKey, JSON.parse(cachedData));
   }
   
   // Build query
-  const query = { published: true };
-  
-  if (search) {
-    query.$text = { $search: search };
+  const query = recipeService.buildRecipeQuery(req.query, req.user);
+  
+  // Cursors page by position, so they skip the count and don't repeat
+  // recipes when new ones arrive. Numbered pages still work and return
+  // cursors to switch over.
+  let response;
+  
+  if (cursor) {
+    const { recipes, nextCursor, prevCursor } = await recipeService.listRecipes(query, {
+      sort,
+      limit,
+      cursor
+    });
+    
+    response = {
+      success: true,
+      count: recipes.length,
+      nextCursor,
+      prevCursor,
+      language: req.language || ALL_LANGUAGES,
+      data: req.language ? localizeRecipes(recipes, req.language) : recipes
+    };
+  } else {
+    const { recipes, total, nextCursor, prevCursor } = await recipeService.listRecipesByPage(query, {
+      sort,
+      limit,
+      page
+    });
+    
+    response = {
+      success: true,
+      count: recipes.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      nextCursor,
+      prevCursor,
+      language: req.language || ALL_LANGUAGES,
+      data: req.language ? localizeRecipes(recipes, req.language) : recipes
+    };
   }
   
-  if (category) {
-    query.categories = category;
-  }
+  // Cache for 5 minutes
+  await cacheService.setWithTags(cacheKey, JSON.stringify(response), 300, recipeService.getCacheTags('list', response.data));
   
-  if (region) {
-    query.region = region;
-  }
+  sendRecipeList(req, res, cacheKey, response);
+});
+
+// @desc    Get result counts per filter option
+// @route   GET /api/v1/recipes/facets
+// @access  Public
+exports.getRecipeFacets = asyncHandler(async (req, res, next) => {
+  // Premium recipes change the counts, so free and premium users get separate entries
+  const cacheKey = recipeService.getCacheKey('facets', {
+    user: req.user,
+    params: req.query
+  });
+  const cachedData = await cacheService.get(cacheKey);
   
-  if (difficulty) {
-    query.difficulty = difficulty;
+  if (cachedData) {
+    return res.status(200).json(JSON.parse(cachedData));
   }
   
-  if (maxCost) {
-    query['estimatedCost.amount'] = { $lte: parseFloat(maxCost) };
+  const facets = await recipeService.getFacetCounts(req.query, req.user);
+  
+  const response = {
+    success: true,
+    data: facets
+  };
+  
+  // Cache for 5 minutes
+  await cacheService.setWithTags(cacheKey, JSON.stringify(response), 300, recipeService.getCacheTags('facets'));
+  
+  res.status(200).json(response);
+});
+
+// @desc    Get recipes ranked by how much of them the user's pantry covers
+// @route   GET /api/v1/recipes/pantry?ingredients=rice,tomatoes,onions
+// @access  Public
+exports.getPantryMatches = asyncHandler(async (req, res, next) => {
+  const {
+    ingredients = '',
+    minMatch = 0,
+    market,
+    page: rawPage,
+    limit: rawLimit,
+    ...filters
+  } = req.query;
+  
+  const page = Math.max(parseInt(rawPage) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(rawLimit) || 20, 1), MAX_RECIPES_PAGE);
+  
+  const pantry = [...new Set(
+    ingredients.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+  )];
+  
+  if (pantry.length === 0) {
+    return next(new ErrorResponse('Please list the ingredients you have', 400));
   }
   
-  if (maxTime) {
-    query.totalTime = { $lte: parseInt(maxTime) };
+  if (pantry.length > MAX_PANTRY_ITEMS) {
+    return next(new ErrorResponse(`Pantry searches are limited to ${MAX_PANTRY_ITEMS} ingredients`, 400));
   }
   
-  if (dietary) {
-    query.tags = { $in: dietary.split(',') };
+  const threshold = parseInt(minMatch) || 0;
+  
+  if (threshold < 0 || threshold > 100) {
+    return next(new ErrorResponse('minMatch must be between 0 and 100', 400));
   }
   
-  // Add premium filter for free users
-  if (!req.user || req.user.subscription.status === 'free') {
-    query.premium = false;
+  if (market !== undefined && !GHANA_REGIONS.includes(market)) {
+    return next(new ErrorResponse(`market must be one of: ${GHANA_REGIONS.join(', ')}`, 400));
   }
   
-  // Execute query with pagination
-  const recipes = await Recipe.find(query)
-    .populate('author', 'name avatar')
-    .sort(sort)
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
+  const cacheKey = recipeService.getCacheKey('pantry', {
+    user: req.user,
+    language: req.language,
+    params: req.query
+  });
+  const cachedData = await cacheService.get(cacheKey);
+  
+  if (cachedData) {
+    return res.status(200).json(JSON.parse(cachedData));
+  }
   
-  const total = await Recipe.countDocuments(query);
+  const { total, data } = await recipeService.matchPantry(pantry, req.user, {
+    filters,
+    minMatch: threshold,
+    market,
+    page,
+    limit
+  });
   
   const response = {
     success: true,
-    count: recipes.length,
+    count: data.length,
     total,
     pages: Math.ceil(total / limit),
-    currentPage: parseInt(page),
-    data: recipes
+    currentPage: page,
+    language: req.language || ALL_LANGUAGES,
+    data: req.language
+      ? data.map(match => ({ ...match, recipe: localizeRecipe(match.recipe, req.language) }))
+      : data
   };
   
   // Cache for 5 minutes
-  await cacheService.set(cacheKey, JSON.stringify(response), 300);
+  await cacheService.setWithTags(
+    cacheKey,
+    JSON.stringify(response),
+    300,
+    recipeService.getCacheTags('pantry', data.map(match => match.recipe))
+  );
   
   res.status(200).json(response);
 });
@@ -95,6 +249,45 @@ exports.getRecipes = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/recipes/:id
 // @access  Public
 exports.getRecipe = asyncHandler(async (req, res, next) => {
+  // Access and freshness are checked before loading the author and
+  // reviews, so a client whose copy is current costs one small query
+  const current = await Recipe.findById(req.params.id)
+    .select('updatedAt published premium author categories region');
+  
+  if (!current || !current.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  // Check if premium recipe and user has access
+  if (current.premium && (!req.user || req.user.subscription.status === 'free')) {
+    return next(new ErrorResponse('Premium subscription required', 403));
+  }
+  
+  // Counted once per viewer per window, and written to recipe.views in
+  // batches by the view flush job
+  await viewCounterService.recordView(current._id, {
+    user: req.user,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  
+  // Track analytics
+  analyticsService.trackEvent('recipe_view', {
+    recipeId: current._id,
+    userId: req.user?.id,
+    category: current.categories[0],
+    region: current.region
+  });
+  
+  const validators = recipeValidators(current, [
+    recipeService.getAccessTier(req.user),
+    req.language || ALL_LANGUAGES
+  ]);
+  
+  if (isFresh(req, res, validators)) {
+    return res.status(304).end();
+  }
+  
   const recipe = await Recipe.findById(req.params.id)
     .populate('author', 'name avatar bio')
     .populate({
@@ -105,30 +298,111 @@ exports.getRecipe = asyncHandler(async (req, res, next) => {
       }
     });
   
+  // Deleted since the first read
   if (!recipe) {
     return next(new ErrorResponse('Recipe not found', 404));
   }
   
+  res.status(200).json({
+    success: true,
+    data: req.language ? localizeRecipe(recipe, req.language) : recipe
+  });
+});
+
+// @desc    Get recipe scaled to a number of servings
+// @route   GET /api/v1/recipes/:id/scaled
+// @access  Public
+exports.getScaledRecipe = asyncHandler(async (req, res, next) => {
+  const { units } = req.query;
+  const servings = parseInt(req.query.servings);
+  
+  const scalingError = getScalingError(servings, units);
+  if (scalingError) {
+    return next(new ErrorResponse(scalingError, 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id)
+    .populate('author', 'name avatar');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
   // Check if premium recipe and user has access
   if (recipe.premium && (!req.user || req.user.subscription.status === 'free')) {
     return next(new ErrorResponse('Premium subscription required', 403));
   }
   
-  // Increment view count
-  recipe.views += 1;
-  await recipe.save({ validateBeforeSave: false });
+  const scaled = recipeService.scaleRecipe(recipe, servings, { units });
   
-  // Track analytics
-  analyticsService.trackEvent('recipe_view', {
-    recipeId: recipe._id,
-    userId: req.user?.id,
-    category: recipe.categories[0],
-    region: recipe.region
+  res.status(200).json({
+    success: true,
+    data: req.language ? localizeRecipe(scaled, req.language) : scaled
+  });
+});
+
+// @desc    Render recipe for printing or sharing
+// @route   GET /api/v1/recipes/:id/render?format=html|markdown|text&servings=6&units=metric
+// @access  Public
+exports.renderRecipe = asyncHandler(async (req, res, next) => {
+  const { units, format = 'html' } = req.query;
+  const servings = req.query.servings === undefined ? undefined : parseInt(req.query.servings);
+  
+  if (!renderService.formats.includes(format)) {
+    return next(new ErrorResponse(`Format must be one of: ${renderService.formats.join(', ')}`, 400));
+  }
+  
+  const scalingError = getScalingError(servings, units);
+  if (scalingError) {
+    return next(new ErrorResponse(scalingError, 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id)
+    .populate('author', 'name');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  // Check if premium recipe and user has access
+  if (recipe.premium && (!req.user || req.user.subscription.status === 'free')) {
+    return next(new ErrorResponse('Premium subscription required', 403));
+  }
+  
+  const data = servings || units
+    ? recipeService.scaleRecipe(recipe, servings || recipe.servings, { units })
+    : recipe;
+  
+  // A rendered recipe is in one language; ?lang=all falls back to English
+  const output = await renderService.render(data, format, req.language || DEFAULT_LANGUAGE);
+  
+  res.status(200).type(renderService.contentType(format)).send(output);
+});
+
+// @desc    Get recipes similar to a recipe
+// @route   GET /api/v1/recipes/:id/similar?limit=10
+// @access  Public
+exports.getSimilarRecipes = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, MAX_SIMILAR_RECIPES);
+  
+  const recipe = await Recipe.findById(req.params.id)
+    .select('+similar similarComputedAt published author');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  const recipes = await similarityService.getSimilar(recipe, req.user, {
+    limit,
+    params: req.query
   });
   
   res.status(200).json({
     success: true,
-    data: recipe
+    count: recipes.length,
+    computedAt: recipe.similarComputedAt,
+    language: req.language || ALL_LANGUAGES,
+    data: req.language ? localizeRecipes(recipes, req.language) : recipes
   });
 });
 
@@ -139,6 +413,19 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
   // Add author to body
   req.body.author = req.user.id;
   
+  // Publication is controlled by the moderation workflow, and allergens
+  // and diets come from the ingredients
+  [...RECIPE_WORKFLOW_FIELDS, ...RECIPE_DERIVED_FIELDS].forEach(field => delete req.body[field]);
+  
+  // Ingredient and instruction text may arrive in several languages
+  translationService.normalizeInput(req.body);
+  
+  // Community recipes start as drafts and go through review
+  if (req.user.role === 'user') {
+    req.body.status = 'draft';
+    req.body.source = 'user_submitted';
+  }
+  
   // Handle image uploads
   if (req.files && req.files.length > 0) {
     const images = await Promise.all(
@@ -158,6 +445,9 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
   
   const recipe = await Recipe.create(req.body);
   
+  // First revision is the recipe as created
+  await revisionService.record(recipe, req.user.id);
+  
   // Update user's created recipes
   await User.findByIdAndUpdate(
     req.user.id,
@@ -167,6 +457,11 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
   // Award points for creating recipe
   await authService.awardPoints(req.user.id, 50, 'recipe_created');
   
+  // Published recipes must show up in cached listings
+  if (recipe.published) {
+    await recipeService.invalidateRecipes(recipe._id, { membership: true });
+  }
+  
   res.status(201).json({
     success: true,
     data: recipe
@@ -177,7 +472,7 @@ exports.createRecipe = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/recipes/:id
 // @access  Private
 exports.updateRecipe = asyncHandler(async (req, res, next) => {
-  let recipe = await Recipe.findById(req.params.id);
+  const recipe = await Recipe.findById(req.params.id);
   
   if (!recipe) {
     return next(new ErrorResponse('Recipe not found', 404));
@@ -188,6 +483,17 @@ exports.updateRecipe = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this recipe', 403));
   }
   
+  // Publication is controlled by the moderation workflow, allergens and
+  // diets come from the ingredients, and forks of premium recipes stay premium
+  [
+    ...RECIPE_WORKFLOW_FIELDS,
+    ...RECIPE_DERIVED_FIELDS,
+    ...forkService.getLockedFields(recipe, req.user)
+  ].forEach(field => delete req.body[field]);
+  
+  // Ingredient and instruction text may arrive in several languages
+  translationService.normalizeInput(req.body);
+  
   // Handle new image uploads
   if (req.files && req.files.length > 0) {
     const newImages = await Promise.all(
@@ -204,17 +510,21 @@ exports.updateRecipe = asyncHandler(async (req, res, next) => {
     req.body.images = [...(recipe.images || []), ...newImages];
   }
   
-  recipe = await Recipe.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  );
+  // Keep the previous version as a revision before applying the change
+  await revisionService.ensureBaseline(recipe);
+  const before = revisionService.snapshot(recipe);
   
-  // Clear cache
-  await cacheService.clearPattern('recipes:*');
+  recipe.set(req.body);
+  await recipe.save();
+  
+  const changedFields = revisionService.getChangedFields(before, revisionService.snapshot(recipe));
+  
+  if (changedFields.length > 0) {
+    await revisionService.record(recipe, req.user.id, { changedFields });
+  }
+  
+  // Clear cached responses holding this recipe
+  await recipeService.invalidateRecipes(recipe._id);
   
   res.status(200).json({
     success: true,
@@ -222,6 +532,38 @@ exports.updateRecipe = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Recompute nutrition from the ingredients
+// @route   POST /api/v1/recipes/:id/nutrition/recompute
+// @access  Private/Admin
+exports.recomputeNutrition = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  await revisionService.ensureBaseline(recipe);
+  const before = revisionService.snapshot(recipe);
+  
+  // Manually entered values are kept unless the admin asks to replace them
+  recipe.computeNutrition({ keepManual: req.body.keepManual !== false });
+  await recipe.save({ validateModifiedOnly: true });
+  
+  const changedFields = revisionService.getChangedFields(before, revisionService.snapshot(recipe));
+  
+  if (changedFields.length > 0) {
+    await revisionService.record(recipe, req.user.id, { changedFields });
+  }
+  
+  // Clear cached responses holding this recipe
+  await recipeService.invalidateRecipes(recipe._id);
+  
+  res.status(200).json({
+    success: true,
+    data: recipe.nutrition
+  });
+});
+
 // @desc    Delete recipe
 // @route   DELETE /api/v1/recipes/:id
 // @access  Private
@@ -237,14 +579,14 @@ exports.deleteRecipe = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to delete this recipe', 403));
   }
   
-  // Delete images from storage
-  if (recipe.images && recipe.images.length > 0) {
-    await Promise.all(
-      recipe.images.map(image => storageService.deleteImage(image.url))
-    );
-  }
+  // Delete images from storage, except those its forks (or parent) use
+  const unsharedImages = await forkService.getUnsharedImages(recipe);
+  await Promise.all(unsharedImages.map(url => storageService.deleteImage(url)));
   
   await recipe.remove();
+  await reviewService.deleteForRecipe(recipe._id);
+  await collectionService.removeRecipeEverywhere(recipe._id);
+  await forkService.removeFork(recipe);
   
   // Update user's created recipes
   await User.findByIdAndUpdate(
@@ -253,7 +595,7 @@ exports.deleteRecipe = asyncHandler(async (req, res, next) => {
   );
   
   // Clear cache
-  await cacheService.clearPattern('recipes:*');
+  await recipeService.invalidateRecipes(recipe._id, { membership: true });
   
   res.status(200).json({
     success: true,
@@ -284,6 +626,7 @@ exports.toggleFavorite = asyncHandler(async (req, res, next) => {
     // Add to favorites
     user.favoriteRecipes.push(recipe._id);
     recipe.saves += 1;
+    await trendingService.record(recipe._id, 'saves');
     
     // Award points for first favorite
     if (user.favoriteRecipes.length === 0) {
@@ -300,52 +643,33 @@ exports.toggleFavorite = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Add recipe review
-// @route   POST /api/v1/recipes/:id/reviews
+// @desc    Record that the user cooked a recipe
+// @route   POST /api/v1/recipes/:id/cooked
 // @access  Private
-exports.addReview = asyncHandler(async (req, res, next) => {
-  const { rating, comment } = req.body;
-  
-  const recipe = await Recipe.findById(req.params.id);
+exports.markCooked = asyncHandler(async (req, res, next) => {
+  const { rating, notes } = req.body;
   
-  if (!recipe) {
-    return next(new ErrorResponse('Recipe not found', 404));
+  if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return next(new ErrorResponse('Rating must be a whole number from 1 to 5', 400));
   }
   
-  // Check if user has already reviewed
-  const existingReview = await Review.findOne({
-    recipe: recipe._id,
-    user: req.user.id
-  });
+  const recipe = await Recipe.findById(req.params.id);
   
-  if (existingReview) {
-    return next(new ErrorResponse('You have already reviewed this recipe', 400));
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
   }
   
-  // Create review
-  const review = await Review.create({
-    recipe: recipe._id,
-    user: req.user.id,
-    rating,
-    comment
+  await User.findByIdAndUpdate(req.user.id, {
+    $push: { cookingHistory: { recipe: recipe._id, rating, notes } }
   });
   
-  // Update recipe ratings
-  const reviews = await Review.find({ recipe: recipe._id });
-  const avgRating = reviews.reduce((acc, item) => item.rating + acc, 0) / reviews.length;
-  
-  recipe.ratings.average = avgRating;
-  recipe.ratings.count = reviews.length;
-  recipe.reviews.push(review._id);
-  
-  await recipe.save();
-  
-  // Award points for review
-  await authService.awardPoints(req.user.id, 10, 'recipe_reviewed');
+  recipe.cookedCount += 1;
+  await recipe.save({ validateBeforeSave: false });
+  await trendingService.record(recipe._id, 'cooks');
   
   res.status(201).json({
     success: true,
-    data: review
+    data: { cookedCount: recipe.cookedCount }
   });
 });
 
@@ -353,48 +677,103 @@ exports.addReview = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/recipes/featured
 // @access  Public
 exports.getFeaturedRecipes = asyncHandler(async (req, res, next) => {
-  const cacheKey = 'recipes:featured';
+  const cacheKey = recipeService.getCacheKey('featured', {
+    user: req.user,
+    language: req.language,
+    params: req.query
+  });
   const cachedData = await cacheService.get(cacheKey);
   
   if (cachedData) {
-    return res.status(200).json(JSON.parse(cachedData));
+    return sendRecipeList(req, res, cacheKey, JSON.parse(cachedData));
   }
   
-  const recipes = await Recipe.getFeatured();
+  const recipes = await Recipe.getFeatured(
+    recipeService.getPreferenceQuery(req.query, req.user) || {}
+  );
   
   const response = {
     success: true,
     count: recipes.length,
-    data: recipes
+    language: req.language || ALL_LANGUAGES,
+    data: req.language ? localizeRecipes(recipes, req.language) : recipes
   };
   
   // Cache for 1 hour
-  await cacheService.set(cacheKey, JSON.stringify(response), 3600);
+  await cacheService.setWithTags(cacheKey, JSON.stringify(response), 3600, recipeService.getCacheTags('featured', response.data));
   
-  res.status(200).json(response);
+  sendRecipeList(req, res, cacheKey, response);
 });
 
 // @desc    Get popular recipes
 // @route   GET /api/v1/recipes/popular
 // @access  Public
 exports.getPopularRecipes = asyncHandler(async (req, res, next) => {
-  const cacheKey = 'recipes:popular';
+  const cacheKey = recipeService.getCacheKey('popular', {
+    user: req.user,
+    language: req.language,
+    params: req.query
+  });
   const cachedData = await cacheService.get(cacheKey);
   
   if (cachedData) {
-    return res.status(200).json(JSON.parse(cachedData));
+    return sendRecipeList(req, res, cacheKey, JSON.parse(cachedData));
   }
   
-  const recipes = await Recipe.getPopular();
+  const recipes = await Recipe.getPopular(
+    recipeService.getPreferenceQuery(req.query, req.user) || {}
+  );
   
   const response = {
     success: true,
     count: recipes.length,
-    data: recipes
+    language: req.language || ALL_LANGUAGES,
+    data: req.language ? localizeRecipes(recipes, req.language) : recipes
   };
   
   // Cache for 30 minutes
-  await cacheService.set(cacheKey, JSON.stringify(response), 1800);
+  await cacheService.setWithTags(cacheKey, JSON.stringify(response), 1800, recipeService.getCacheTags('popular', response.data));
+  
+  sendRecipeList(req, res, cacheKey, response);
+});
+
+// @desc    Get trending recipes
+// @route   GET /api/v1/recipes/trending?window=24h|7d|30d&limit=20
+// @access  Public
+exports.getTrendingRecipes = asyncHandler(async (req, res, next) => {
+  const { window = trendingService.defaultWindow } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_TRENDING_RECIPES);
+  
+  if (!trendingService.windows.includes(window)) {
+    return next(new ErrorResponse(`Window must be one of: ${trendingService.windows.join(', ')}`, 400));
+  }
+  
+  const cacheKey = recipeService.getCacheKey('trending', {
+    user: req.user,
+    language: req.language,
+    params: { ...req.query, window, limit }
+  });
+  const cachedData = await cacheService.get(cacheKey);
+  
+  if (cachedData) {
+    return res.status(200).json(JSON.parse(cachedData));
+  }
+  
+  const recipes = await trendingService.getTrending(window, req.user, {
+    limit,
+    params: req.query
+  });
+  
+  const response = {
+    success: true,
+    window,
+    count: recipes.length,
+    language: req.language || ALL_LANGUAGES,
+    data: req.language ? localizeRecipes(recipes, req.language) : recipes
+  };
+  
+  // Cache for 5 minutes
+  await cacheService.setWithTags(cacheKey, JSON.stringify(response), 300, recipeService.getCacheTags('trending', response.data));
   
   res.status(200).json(response);
 });
\ No newline at end of file
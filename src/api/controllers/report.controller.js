@@ -0,0 +1,316 @@
+// src/api/controllers/report.controller.js
+const Report = require('../../models/report.model');
+const User = require('../../models/user.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const authService = require('../../services/auth.service');
+const emailService = require('../../services/email.service');
+const reportService = require('../../services/report.service');
+const logger = require('../../utils/logger');
+
+const MAX_QUEUE_PAGE = 100;
+
+// Load the reported content from the route, or report that it's gone
+const loadTarget = async (req, next) => {
+  const target = await reportService.findTarget(req.params.targetType, req.params.targetId);
+  
+  if (!target) {
+    next(new ErrorResponse('Reported content not found', 404));
+    return null;
+  }
+  
+  return target;
+};
+
+// Load the author of the reported content for a warning or suspension
+const loadAuthor = async (req, target, next) => {
+  const author = await User.findById(reportService.authorOf(req.params.targetType, target));
+  
+  if (!author) {
+    next(new ErrorResponse('The author of this content no longer exists', 404));
+    return null;
+  }
+  
+  if (author.role === 'admin') {
+    next(new ErrorResponse('Admins cannot be warned or suspended', 400));
+    return null;
+  }
+  
+  return author;
+};
+
+// @desc    Report a recipe, review or user profile
+// @route   POST /api/v1/reports
+// @access  Private
+exports.createReport = asyncHandler(async (req, res, next) => {
+  const { targetType, targetId, reason, details } = req.body;
+  
+  if (!reportService.targetTypes.includes(targetType)) {
+    return next(new ErrorResponse(`Target type must be one of: ${reportService.targetTypes.join(', ')}`, 400));
+  }
+  
+  if (!reportService.reasons.includes(reason)) {
+    return next(new ErrorResponse(`Reason must be one of: ${reportService.reasons.join(', ')}`, 400));
+  }
+  
+  const target = await reportService.findTarget(targetType, targetId);
+  
+  // Content the reporter can't see can't be reported
+  if (!(await reportService.isVisibleTo(targetType, target, req.user))) {
+    return next(new ErrorResponse('Reported content not found', 404));
+  }
+  
+  if (String(reportService.authorOf(targetType, target)) === req.user.id) {
+    return next(new ErrorResponse('You cannot report your own content', 400));
+  }
+  
+  const report = await reportService.report(targetType, target, req.user.id, { reason, details });
+  
+  if (!report) {
+    return next(new ErrorResponse('You have already reported this', 400));
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Get the moderation queue: reported content, most reported first
+// @route   GET /api/v1/reports?targetType=recipe|review|user
+// @access  Private/Admin
+exports.getReportQueue = asyncHandler(async (req, res, next) => {
+  const { targetType } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_QUEUE_PAGE);
+  
+  if (targetType && !reportService.targetTypes.includes(targetType)) {
+    return next(new ErrorResponse(`Target type must be one of: ${reportService.targetTypes.join(', ')}`, 400));
+  }
+  
+  const { items, total } = await reportService.getQueue({ targetType, page, limit });
+  
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: page,
+    autoHideThreshold: reportService.autoHideThreshold,
+    data: items
+  });
+});
+
+// @desc    Get every report on a piece of content
+// @route   GET /api/v1/reports/:targetType/:targetId
+// @access  Private/Admin
+exports.getTargetReports = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  const reports = await Report.find({ targetType: req.params.targetType, target: target._id })
+    .populate('reporter', 'name email')
+    .populate('resolution.moderator', 'name')
+    .sort('-createdAt');
+  
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    data: {
+      content: target,
+      reports
+    }
+  });
+});
+
+// @desc    Hide reported content
+// @route   POST /api/v1/reports/:targetType/:targetId/hide
+// @access  Private/Admin
+exports.hideContent = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  if (target.visibility === 'removed') {
+    return next(new ErrorResponse('This content has already been removed', 400));
+  }
+  
+  await reportService.setVisibility(req.params.targetType, target, 'hidden');
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'hide',
+    moderator: req.user.id,
+    note: req.body.note
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: { visibility: target.visibility, reportsClosed: closed }
+  });
+});
+
+// @desc    Restore hidden content
+// @route   POST /api/v1/reports/:targetType/:targetId/restore
+// @access  Private/Admin
+exports.restoreContent = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  if (target.visibility !== 'hidden') {
+    return next(new ErrorResponse(`Cannot restore ${target.visibility} content`, 400));
+  }
+  
+  await reportService.setVisibility(req.params.targetType, target, 'visible');
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'restore',
+    moderator: req.user.id,
+    note: req.body.note
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: { visibility: target.visibility, reportsClosed: closed }
+  });
+});
+
+// @desc    Remove reported content for good
+// @route   POST /api/v1/reports/:targetType/:targetId/remove
+// @access  Private/Admin
+exports.removeContent = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  await reportService.setVisibility(req.params.targetType, target, 'removed');
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'remove',
+    moderator: req.user.id,
+    note: req.body.note
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: { visibility: target.visibility, reportsClosed: closed }
+  });
+});
+
+// @desc    Dismiss the open reports on content; anything they hid comes back
+// @route   POST /api/v1/reports/:targetType/:targetId/dismiss
+// @access  Private/Admin
+exports.dismissReports = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  if (target.visibility === 'hidden') {
+    await reportService.setVisibility(req.params.targetType, target, 'visible');
+  }
+  
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'dismiss',
+    moderator: req.user.id,
+    note: req.body.note
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: { visibility: target.visibility, reportsClosed: closed }
+  });
+});
+
+// @desc    Warn the author of reported content
+// @route   POST /api/v1/reports/:targetType/:targetId/warn
+// @access  Private/Admin
+exports.warnAuthor = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  
+  if (!reason || !reason.trim()) {
+    return next(new ErrorResponse('Please give a reason for the warning', 400));
+  }
+  
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  const author = await loadAuthor(req, target, next);
+  if (!author) return;
+  
+  author.warnings.push({ reason, moderator: req.user.id });
+  await author.save({ validateBeforeSave: false });
+  
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'warn',
+    moderator: req.user.id,
+    note: reason
+  });
+  
+  // The warning stands even if the email can't be delivered
+  emailService
+    .sendAccountWarningEmail(author, reason)
+    .catch(error => logger.error(`Warning email failed for user ${author._id}: ${error.message}`));
+  
+  res.status(200).json({
+    success: true,
+    data: { user: author._id, warnings: author.warnings.length, reportsClosed: closed }
+  });
+});
+
+// @desc    Suspend the author of reported content
+// @route   POST /api/v1/reports/:targetType/:targetId/suspend
+// @access  Private/Admin
+exports.suspendAuthor = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  
+  if (!reason || !reason.trim()) {
+    return next(new ErrorResponse('Please give a reason for the suspension', 400));
+  }
+  
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  const author = await loadAuthor(req, target, next);
+  if (!author) return;
+  
+  author.isActive = false;
+  author.suspendedAt = Date.now();
+  author.suspensionReason = reason;
+  await author.save({ validateBeforeSave: false });
+  
+  // Signed-in sessions can't be refreshed any more
+  await authService.removeRefreshToken(author._id);
+  
+  const closed = await reportService.closeReports(req.params.targetType, target._id, {
+    action: 'suspend',
+    moderator: req.user.id,
+    note: reason
+  });
+  
+  emailService
+    .sendAccountSuspendedEmail(author, reason)
+    .catch(error => logger.error(`Suspension email failed for user ${author._id}: ${error.message}`));
+  
+  res.status(200).json({
+    success: true,
+    data: { user: author._id, isActive: author.isActive, reportsClosed: closed }
+  });
+});
+
+// @desc    Lift the suspension of the author of reported content
+// @route   POST /api/v1/reports/:targetType/:targetId/reinstate
+// @access  Private/Admin
+exports.reinstateAuthor = asyncHandler(async (req, res, next) => {
+  const target = await loadTarget(req, next);
+  if (!target) return;
+  
+  const author = await loadAuthor(req, target, next);
+  if (!author) return;
+  
+  if (author.isActive) {
+    return next(new ErrorResponse('This account is not suspended', 400));
+  }
+  
+  author.isActive = true;
+  author.suspendedAt = undefined;
+  author.suspensionReason = undefined;
+  await author.save({ validateBeforeSave: false });
+  
+  res.status(200).json({
+    success: true,
+    data: { user: author._id, isActive: author.isActive }
+  });
+});
\ No newline at end of file
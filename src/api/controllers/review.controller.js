@@ -0,0 +1,279 @@
+// src/api/controllers/review.controller.js
+const Recipe = require('../../models/recipe.model');
+const Review = require('../../models/review.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const authService = require('../../services/auth.service');
+const reviewService = require('../../services/review.service');
+const storageService = require('../../services/storage.service');
+
+const MAX_REVIEWS_PAGE = 50;
+const MAX_REVIEW_PHOTOS = 5;
+
+const uploadPhotos = files => Promise.all(
+  (files || []).map(async (file) => {
+    const result = await storageService.uploadImage(file);
+    return {
+      url: result.secure_url,
+      caption: file.originalname
+    };
+  })
+);
+
+// @desc    Get a recipe's reviews
+// @route   GET /api/v1/recipes/:id/reviews?sort=helpful|recent&cooked=true
+// @access  Public
+exports.getReviews = asyncHandler(async (req, res, next) => {
+  const { sort = reviewService.defaultSort } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 10, MAX_REVIEWS_PAGE);
+  
+  if (!reviewService.getSort(sort)) {
+    return next(new ErrorResponse(`Sort must be one of: ${reviewService.sorts.join(', ')}`, 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id).select('published author');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  const query = { recipe: recipe._id, visibility: 'visible' };
+  
+  // Only reviews from people who logged cooking the recipe
+  if (req.query.cooked === 'true') {
+    query.cooked = true;
+  }
+  
+  const reviews = await Review.find(query)
+    .populate('user', 'name avatar')
+    .sort(reviewService.getSort(sort))
+    .limit(limit)
+    .skip((page - 1) * limit);
+  
+  const total = await Review.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: page,
+    data: reviews
+  });
+});
+
+// @desc    Get a review
+// @route   GET /api/v1/reviews/:reviewId
+// @access  Public
+exports.getReview = asyncHandler(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId)
+    .populate('user', 'name avatar')
+    .populate('recipe', 'name slug');
+  
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  // Hidden reviews stay readable to their author and admins
+  const canManage = req.user && (
+    String(review.populated('user')) === req.user.id || req.user.role === 'admin'
+  );
+  
+  if (review.visibility !== 'visible' && !canManage) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: review
+  });
+});
+
+// @desc    Add recipe review
+// @route   POST /api/v1/recipes/:id/reviews
+// @access  Private
+exports.addReview = asyncHandler(async (req, res, next) => {
+  const { rating, comment } = req.body;
+  
+  const recipe = await Recipe.findById(req.params.id).select('published author');
+  
+  if (!recipe || !recipe.isVisibleTo(req.user)) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  // Check if user has already reviewed
+  const existingReview = await Review.exists({
+    recipe: recipe._id,
+    user: req.user.id
+  });
+  
+  if (existingReview) {
+    return next(new ErrorResponse('You have already reviewed this recipe', 400));
+  }
+  
+  const review = new Review({
+    recipe: recipe._id,
+    user: req.user.id,
+    rating,
+    comment,
+    cooked: await reviewService.hasCooked(req.user.id, recipe._id)
+  });
+  
+  // Check the rating before uploading anything
+  await review.validate();
+  
+  review.photos = await uploadPhotos(req.files);
+  
+  try {
+    await review.save();
+  } catch (error) {
+    // A second request from the same user got in first
+    if (error.code === 11000) {
+      await Promise.all(review.photos.map(photo => storageService.deleteImage(photo.url)));
+      return next(new ErrorResponse('You have already reviewed this recipe', 400));
+    }
+    throw error;
+  }
+  
+  await reviewService.recomputeRatings(recipe._id);
+  
+  // Award points for review
+  await authService.awardPoints(req.user.id, 10, 'recipe_reviewed');
+  
+  res.status(201).json({
+    success: true,
+    data: review
+  });
+});
+
+// @desc    Update a review
+// @route   PUT /api/v1/reviews/:reviewId
+// @access  Private (review author)
+exports.updateReview = asyncHandler(async (req, res, next) => {
+  const { rating, comment, removePhotos = [] } = req.body;
+  
+  const review = await Review.findById(req.params.reviewId);
+  
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  if (review.user.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to update this review', 403));
+  }
+  
+  // Photos to drop are sent by URL
+  const removed = review.photos.filter(photo => [].concat(removePhotos).includes(photo.url));
+  const kept = review.photos.filter(photo => !removed.includes(photo));
+  
+  if (kept.length + (req.files || []).length > MAX_REVIEW_PHOTOS) {
+    return next(new ErrorResponse(`A review can have up to ${MAX_REVIEW_PHOTOS} photos`, 400));
+  }
+  
+  const ratingChanged = rating !== undefined && Number(rating) !== review.rating;
+  
+  if (rating !== undefined) {
+    review.rating = rating;
+  }
+  
+  if (comment !== undefined) {
+    review.comment = comment;
+  }
+  
+  // They may have cooked it since the review was written
+  review.cooked = review.cooked || await reviewService.hasCooked(req.user.id, review.recipe);
+  
+  await review.validate();
+  
+  review.photos = [...kept, ...await uploadPhotos(req.files)];
+  review.editedAt = Date.now();
+  
+  await review.save();
+  
+  await Promise.all(removed.map(photo => storageService.deleteImage(photo.url)));
+  
+  // The recipe response lists the reviews, so it changes either way
+  if (ratingChanged) {
+    await reviewService.recomputeRatings(review.recipe);
+  } else {
+    await reviewService.touchRecipe(review.recipe);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: review
+  });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/v1/reviews/:reviewId
+// @access  Private (review author or admin)
+exports.deleteReview = asyncHandler(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId);
+  
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new ErrorResponse('Not authorized to delete this review', 403));
+  }
+  
+  await review.deleteOne();
+  
+  await Promise.all(review.photos.map(photo => storageService.deleteImage(photo.url)));
+  await reviewService.recomputeRatings(review.recipe);
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Mark a review as helpful
+// @route   POST /api/v1/reviews/:reviewId/helpful
+// @access  Private
+exports.markHelpful = asyncHandler(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId).select('user helpfulCount');
+  
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  if (review.user.toString() === req.user.id) {
+    return next(new ErrorResponse('You cannot vote on your own review', 400));
+  }
+  
+  const helpfulCount = await reviewService.addHelpfulVote(review._id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      helpful: true,
+      // Voting twice changes nothing
+      helpfulCount: helpfulCount === null ? review.helpfulCount : helpfulCount
+    }
+  });
+});
+
+// @desc    Take back a helpful vote
+// @route   DELETE /api/v1/reviews/:reviewId/helpful
+// @access  Private
+exports.unmarkHelpful = asyncHandler(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId).select('helpfulCount');
+  
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+  
+  const helpfulCount = await reviewService.removeHelpfulVote(review._id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      helpful: false,
+      helpfulCount: helpfulCount === null ? review.helpfulCount : helpfulCount
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,135 @@
+// src/api/controllers/revision.controller.js
+const Recipe = require('../../models/recipe.model');
+const RecipeRevision = require('../../models/recipeRevision.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const recipeService = require('../../services/recipe.service');
+const revisionService = require('../../services/revision.service');
+
+// Load a recipe the current user is allowed to see the history of
+const findOwnedRecipe = async (req, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe) {
+    next(new ErrorResponse('Recipe not found', 404));
+    return null;
+  }
+  
+  // Check ownership
+  if (recipe.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    next(new ErrorResponse('Not authorized to access revisions of this recipe', 403));
+    return null;
+  }
+  
+  return recipe;
+};
+
+// @desc    List recipe revisions
+// @route   GET /api/v1/recipes/:id/revisions
+// @access  Private (author or admin)
+exports.getRevisions = asyncHandler(async (req, res, next) => {
+  const recipe = await findOwnedRecipe(req, next);
+  if (!recipe) return;
+  
+  const revisions = await RecipeRevision.find({ recipe: recipe._id })
+    .select('-snapshot')
+    .populate('changedBy', 'name avatar')
+    .sort('-revision');
+  
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+// @desc    Get a single recipe revision
+// @route   GET /api/v1/recipes/:id/revisions/:revision
+// @access  Private (author or admin)
+exports.getRevision = asyncHandler(async (req, res, next) => {
+  const recipe = await findOwnedRecipe(req, next);
+  if (!recipe) return;
+  
+  const revision = await RecipeRevision.findOne({
+    recipe: recipe._id,
+    revision: parseInt(req.params.revision)
+  }).populate('changedBy', 'name avatar');
+  
+  if (!revision) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: revision
+  });
+});
+
+// @desc    Field-level diff between two revisions
+// @route   GET /api/v1/recipes/:id/revisions/diff?from=&to=
+// @access  Private (author or admin)
+exports.diffRevisions = asyncHandler(async (req, res, next) => {
+  const recipe = await findOwnedRecipe(req, next);
+  if (!recipe) return;
+  
+  const from = parseInt(req.query.from);
+  
+  if (!from) {
+    return next(new ErrorResponse('Please provide the revision to compare from', 400));
+  }
+  
+  // Compare against the latest revision unless told otherwise
+  const [fromRevision, toRevision] = await Promise.all([
+    RecipeRevision.findOne({ recipe: recipe._id, revision: from }),
+    req.query.to
+      ? RecipeRevision.findOne({ recipe: recipe._id, revision: parseInt(req.query.to) })
+      : RecipeRevision.getLatest(recipe._id)
+  ]);
+  
+  if (!fromRevision || !toRevision) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+  
+  const changes = revisionService.diff(fromRevision.snapshot, toRevision.snapshot);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      changedFields: revisionService.getChangedFields(fromRevision.snapshot, toRevision.snapshot),
+      changes
+    }
+  });
+});
+
+// @desc    Restore an old revision as a new revision
+// @route   POST /api/v1/recipes/:id/revisions/:revision/restore
+// @access  Private (author or admin)
+exports.restoreRevision = asyncHandler(async (req, res, next) => {
+  const recipe = await findOwnedRecipe(req, next);
+  if (!recipe) return;
+  
+  const revision = await RecipeRevision.findOne({
+    recipe: recipe._id,
+    revision: parseInt(req.params.revision)
+  });
+  
+  if (!revision) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+  
+  const restored = await revisionService.restore(recipe, revision, req.user.id);
+  
+  // Clear cached responses holding this recipe
+  await recipeService.invalidateRecipes(recipe._id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe,
+      revision: restored.revision,
+      restoredFrom: revision.revision
+    }
+  });
+});
\ No newline at end of file
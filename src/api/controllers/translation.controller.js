@@ -0,0 +1,270 @@
+// src/api/controllers/translation.controller.js
+const Recipe = require('../../models/recipe.model');
+const TranslationProposal = require('../../models/translationProposal.model');
+const asyncHandler = require('../../utils/asyncHandler');
+const ErrorResponse = require('../../utils/errorResponse');
+const authService = require('../../services/auth.service');
+const recipeService = require('../../services/recipe.service');
+const revisionService = require('../../services/revision.service');
+const translationService = require('../../services/translation.service');
+const { TRANSLATION_LANGUAGES } = require('../../utils/i18n');
+
+// Points earned by a translator when a proposal is accepted
+const TRANSLATION_POINTS = 15;
+
+// @desc    Propose a translation for a recipe field
+// @route   POST /api/v1/recipes/:id/translations
+// @access  Private (verified users)
+exports.proposeTranslation = asyncHandler(async (req, res, next) => {
+  const { field, language, text } = req.body;
+  
+  if (!TRANSLATION_LANGUAGES.includes(language)) {
+    return next(new ErrorResponse(`Language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`, 400));
+  }
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    return next(new ErrorResponse('Please provide the translation', 400));
+  }
+  
+  const recipe = await Recipe.findById(req.params.id);
+  
+  if (!recipe || !recipe.published) {
+    return next(new ErrorResponse('Recipe not found', 404));
+  }
+  
+  const target = translationService.resolveField(recipe, field);
+  
+  if (!target || !target.original) {
+    return next(new ErrorResponse('This recipe has no text to translate at that field', 400));
+  }
+  
+  // Check if user already has an open proposal for this text
+  const existingProposal = await TranslationProposal.findOne({
+    recipe: recipe._id,
+    field,
+    language,
+    proposer: req.user.id,
+    status: 'pending'
+  });
+  
+  if (existingProposal) {
+    return next(new ErrorResponse('You already have a pending translation for this text', 400));
+  }
+  
+  const proposal = await TranslationProposal.create({
+    recipe: recipe._id,
+    field,
+    language,
+    text,
+    original: target.original,
+    proposer: req.user.id
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    List translation proposals for review
+// @route   GET /api/v1/translations
+// @access  Private/Chef/Admin
+exports.getProposals = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status = 'pending', language, recipe } = req.query;
+  
+  const query = { status };
+  
+  if (language) {
+    query.language = language;
+  }
+  
+  if (recipe) {
+    query.recipe = recipe;
+  }
+  
+  // Oldest proposals first
+  const proposals = await TranslationProposal.find(query)
+    .populate('recipe', 'name slug')
+    .populate('proposer', 'name avatar points')
+    .sort('createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+  
+  const total = await TranslationProposal.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: proposals.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: proposals
+  });
+});
+
+// @desc    List the current user's translation proposals
+// @route   GET /api/v1/translations/mine
+// @access  Private
+exports.getMyProposals = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+  
+  const query = { proposer: req.user.id };
+  
+  if (status) {
+    query.status = status;
+  }
+  
+  const proposals = await TranslationProposal.find(query)
+    .populate('recipe', 'name slug')
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+  
+  const total = await TranslationProposal.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: proposals.length,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    data: proposals
+  });
+});
+
+// Load a proposal that is still open for review by someone other than its
+// author, with its recipe. Only the recipe's author (or an admin) decides
+// what goes into it.
+const findReviewableProposal = async (req, next) => {
+  const proposal = await TranslationProposal.findById(req.params.proposalId);
+  
+  if (!proposal) {
+    next(new ErrorResponse('Translation proposal not found', 404));
+    return null;
+  }
+  
+  if (proposal.status !== 'pending') {
+    next(new ErrorResponse(`This proposal has already been ${proposal.status}`, 400));
+    return null;
+  }
+  
+  if (proposal.proposer.toString() === req.user.id) {
+    next(new ErrorResponse('You cannot review your own translation', 403));
+    return null;
+  }
+  
+  const recipe = await Recipe.findById(proposal.recipe);
+  
+  if (!recipe) {
+    next(new ErrorResponse('Recipe not found', 404));
+    return null;
+  }
+  
+  if (!recipe.isOwnedBy(req.user)) {
+    next(new ErrorResponse('Not authorized to review translations of this recipe', 403));
+    return null;
+  }
+  
+  return { proposal, recipe };
+};
+
+// @desc    Accept a translation proposal and merge it into the recipe
+// @route   POST /api/v1/translations/:proposalId/accept
+// @access  Private/Chef/Admin (recipe author or admin)
+exports.acceptProposal = asyncHandler(async (req, res, next) => {
+  const reviewable = await findReviewableProposal(req, next);
+  if (!reviewable) return;
+  
+  const { proposal, recipe } = reviewable;
+  
+  await revisionService.ensureBaseline(recipe);
+  const before = revisionService.snapshot(recipe);
+  
+  if (!translationService.applyProposal(recipe, proposal)) {
+    return next(new ErrorResponse('The translated text no longer exists in this recipe', 400));
+  }
+  
+  await recipe.save();
+  await revisionService.record(recipe, req.user.id, {
+    changedFields: revisionService.getChangedFields(before, revisionService.snapshot(recipe))
+  });
+  
+  proposal.status = 'accepted';
+  proposal.reviewer = req.user.id;
+  proposal.reviewNote = req.body.note;
+  proposal.reviewedAt = Date.now();
+  proposal.pointsAwarded = TRANSLATION_POINTS;
+  await proposal.save();
+  
+  // Competing proposals for the same text are no longer needed
+  await TranslationProposal.updateMany(
+    {
+      _id: { $ne: proposal._id },
+      recipe: proposal.recipe,
+      field: proposal.field,
+      language: proposal.language,
+      status: 'pending'
+    },
+    { status: 'superseded', reviewer: req.user.id, reviewedAt: Date.now() }
+  );
+  
+  // Award points for translating
+  await authService.awardPoints(proposal.proposer, TRANSLATION_POINTS, 'translation_accepted');
+  
+  // Clear cached responses holding this recipe
+  await recipeService.invalidateRecipes(proposal.recipe);
+  
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Reject a translation proposal
+// @route   POST /api/v1/translations/:proposalId/reject
+// @access  Private/Chef/Admin (recipe author or admin)
+exports.rejectProposal = asyncHandler(async (req, res, next) => {
+  const reviewable = await findReviewableProposal(req, next);
+  if (!reviewable) return;
+  
+  const { proposal } = reviewable;
+  
+  proposal.status = 'rejected';
+  proposal.reviewer = req.user.id;
+  proposal.reviewNote = req.body.note;
+  proposal.reviewedAt = Date.now();
+  await proposal.save();
+  
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Report recipes with missing translations
+// @route   GET /api/v1/recipes/translations/missing
+// @access  Private/Admin
+exports.getMissingTranslations = asyncHandler(async (req, res, next) => {
+  const { language, page = 1, limit = 20 } = req.query;
+  
+  if (language && !TRANSLATION_LANGUAGES.includes(language)) {
+    return next(new ErrorResponse(`Language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`, 400));
+  }
+  
+  const report = await translationService.getMissingTranslationsReport({
+    language,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+  
+  res.status(200).json({
+    success: true,
+    count: report.data.length,
+    total: report.total,
+    pages: Math.ceil(report.total / limit),
+    currentPage: parseInt(page),
+    languages: report.languages,
+    incomplete: report.incomplete,
+    data: report.data
+  });
+});
\ No newline at end of file
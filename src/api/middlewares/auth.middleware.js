@@ -73,6 +73,19 @@ exports.requireSubscription = (level = 'premium') => {
   };
 };
 
+// Require a verified email address
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified && req.user.role !== 'admin') {
+    return next(
+      new ErrorResponse(
+        'Please verify your email address to use this feature',
+        403
+      )
+    );
+  }
+  next();
+};
+
 // Optional authentication - doesn't fail if no token
 exports.optionalAuth = asyncHandler(async (req, res, next) => {
   let token;
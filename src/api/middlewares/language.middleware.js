@@ -0,0 +1,24 @@
+// src/api/middlewares/language.middleware.js
+const { resolveLanguage, ALL_LANGUAGES } = require('../../utils/i18n');
+
+// Resolve the response language for multilingual content.
+// Runs after optionalAuth/protect so the user's saved preference is known.
+// Sets req.language to a language code, or to null when the client asked
+// for every translation with ?lang=all.
+exports.negotiateLanguage = (req, res, next) => {
+  const { language, source } = resolveLanguage({
+    query: req.query.lang,
+    header: req.headers['accept-language'],
+    user: req.user
+  });
+  
+  req.language = language === ALL_LANGUAGES ? null : language;
+  req.languageSource = source;
+  
+  res.vary('Accept-Language');
+  if (req.language) {
+    res.set('Content-Language', req.language);
+  }
+  
+  next();
+};
\ No newline at end of file
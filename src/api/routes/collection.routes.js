@@ -0,0 +1,41 @@
+// src/api/routes/collection.routes.js
+const express = require('express');
+const {
+  getCollections,
+  getMyCollections,
+  getCollection,
+  getSharedCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addRecipe,
+  removeRecipe,
+  reorderRecipes,
+  shareCollection
+} = require('../controllers/collection.controller');
+const { protect, optionalAuth } = require('../middlewares/auth.middleware');
+const { negotiateLanguage } = require('../middlewares/language.middleware');
+const upload = require('../middlewares/upload.middleware');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(optionalAuth, getCollections)
+  .post(protect, upload.single('cover'), createCollection);
+
+router.get('/mine', protect, getMyCollections);
+router.get('/shared/:token', optionalAuth, negotiateLanguage, getSharedCollection);
+
+router
+  .route('/:id')
+  .get(optionalAuth, negotiateLanguage, getCollection)
+  .put(protect, upload.single('cover'), updateCollection)
+  .delete(protect, deleteCollection);
+
+router.post('/:id/recipes', protect, addRecipe);
+router.put('/:id/recipes/order', protect, reorderRecipes);
+router.delete('/:id/recipes/:recipeId', protect, removeRecipe);
+router.post('/:id/share', protect, shareCollection);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+// src/api/routes/feed.routes.js
+const express = require('express');
+const { getFeed } = require('../controllers/feed.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { negotiateLanguage } = require('../middlewares/language.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', negotiateLanguage, getFeed);
+
+module.exports = router;
\ No newline at end of file
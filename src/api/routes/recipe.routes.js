@@ -0,0 +1,123 @@
+// src/api/routes/recipe.routes.js
+const express = require('express');
+const {
+  getRecipes,
+  getRecipeFacets,
+  getPantryMatches,
+  getRecipe,
+  getScaledRecipe,
+  renderRecipe,
+  getSimilarRecipes,
+  recomputeNutrition,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  toggleFavorite,
+  getFeaturedRecipes,
+  getPopularRecipes,
+  getTrendingRecipes,
+  markCooked
+} = require('../controllers/recipe.controller');
+const {
+  getReviews,
+  addReview
+} = require('../controllers/review.controller');
+const {
+  forkRecipe,
+  getRecipeLineage
+} = require('../controllers/fork.controller');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revision.controller');
+const {
+  submitRecipe,
+  getReviewQueue,
+  startReview,
+  addReviewNote,
+  approveRecipe,
+  rejectRecipe,
+  publishRecipe
+} = require('../controllers/moderation.controller');
+const {
+  getMissingTranslations,
+  proposeTranslation
+} = require('../controllers/translation.controller');
+const {
+  importRecipes,
+  getImportJob
+} = require('../controllers/import.controller');
+const {
+  exportRecipeJsonLd,
+  importRecipeJsonLd
+} = require('../controllers/jsonld.controller');
+const {
+  protect,
+  optionalAuth,
+  authorize,
+  requireVerifiedEmail
+} = require('../middlewares/auth.middleware');
+const { negotiateLanguage } = require('../middlewares/language.middleware');
+const upload = require('../middlewares/upload.middleware');
+
+const router = express.Router();
+
+router.get('/featured', optionalAuth, negotiateLanguage, getFeaturedRecipes);
+router.get('/popular', optionalAuth, negotiateLanguage, getPopularRecipes);
+router.get('/trending', optionalAuth, negotiateLanguage, getTrendingRecipes);
+router.get('/facets', optionalAuth, getRecipeFacets);
+router.get('/pantry', optionalAuth, negotiateLanguage, getPantryMatches);
+router.get('/review-queue', protect, authorize('admin'), getReviewQueue);
+router.get('/translations/missing', protect, authorize('admin'), getMissingTranslations);
+router.post('/import/jsonld', protect, importRecipeJsonLd);
+router.post(
+  '/import',
+  protect,
+  authorize('admin'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  importRecipes
+);
+router.get('/import/:jobId', protect, authorize('admin'), getImportJob);
+
+router
+  .route('/')
+  .get(optionalAuth, negotiateLanguage, getRecipes)
+  .post(protect, upload.array('images', 10), createRecipe);
+
+router
+  .route('/:id')
+  .get(optionalAuth, negotiateLanguage, getRecipe)
+  .put(protect, upload.array('images', 10), updateRecipe)
+  .delete(protect, deleteRecipe);
+
+router.get('/:id/scaled', optionalAuth, negotiateLanguage, getScaledRecipe);
+router.get('/:id/jsonld', optionalAuth, negotiateLanguage, exportRecipeJsonLd);
+router.get('/:id/render', optionalAuth, negotiateLanguage, renderRecipe);
+router.get('/:id/similar', optionalAuth, negotiateLanguage, getSimilarRecipes);
+router.post('/:id/nutrition/recompute', protect, authorize('admin'), recomputeNutrition);
+router.post('/:id/favorite', protect, toggleFavorite);
+router.post('/:id/cooked', protect, markCooked);
+router.post('/:id/fork', protect, forkRecipe);
+router.get('/:id/lineage', optionalAuth, negotiateLanguage, getRecipeLineage);
+router
+  .route('/:id/reviews')
+  .get(optionalAuth, getReviews)
+  .post(protect, upload.array('photos', 5), addReview);
+
+router.post('/:id/submit', protect, submitRecipe);
+router.post('/:id/publish', protect, publishRecipe);
+router.post('/:id/review/start', protect, authorize('admin'), startReview);
+router.post('/:id/review/notes', protect, authorize('admin'), addReviewNote);
+router.post('/:id/review/approve', protect, authorize('admin'), approveRecipe);
+router.post('/:id/review/reject', protect, authorize('admin'), rejectRecipe);
+
+router.post('/:id/translations', protect, requireVerifiedEmail, proposeTranslation);
+
+router.get('/:id/revisions', protect, getRevisions);
+router.get('/:id/revisions/diff', protect, diffRevisions);
+router.get('/:id/revisions/:revision', protect, getRevision);
+router.post('/:id/revisions/:revision/restore', protect, restoreRevision);
+
+module.exports = router;
\ No newline at end of file
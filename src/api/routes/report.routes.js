@@ -0,0 +1,35 @@
+// src/api/routes/report.routes.js
+const express = require('express');
+const {
+  createReport,
+  getReportQueue,
+  getTargetReports,
+  hideContent,
+  restoreContent,
+  removeContent,
+  dismissReports,
+  warnAuthor,
+  suspendAuthor,
+  reinstateAuthor
+} = require('../controllers/report.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .post(createReport)
+  .get(authorize('admin'), getReportQueue);
+
+router.get('/:targetType/:targetId', authorize('admin'), getTargetReports);
+router.post('/:targetType/:targetId/hide', authorize('admin'), hideContent);
+router.post('/:targetType/:targetId/restore', authorize('admin'), restoreContent);
+router.post('/:targetType/:targetId/remove', authorize('admin'), removeContent);
+router.post('/:targetType/:targetId/dismiss', authorize('admin'), dismissReports);
+router.post('/:targetType/:targetId/warn', authorize('admin'), warnAuthor);
+router.post('/:targetType/:targetId/suspend', authorize('admin'), suspendAuthor);
+router.post('/:targetType/:targetId/reinstate', authorize('admin'), reinstateAuthor);
+
+module.exports = router;
\ No newline at end of file
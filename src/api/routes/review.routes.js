@@ -0,0 +1,26 @@
+// src/api/routes/review.routes.js
+const express = require('express');
+const {
+  getReview,
+  updateReview,
+  deleteReview,
+  markHelpful,
+  unmarkHelpful
+} = require('../controllers/review.controller');
+const { protect, optionalAuth } = require('../middlewares/auth.middleware');
+const upload = require('../middlewares/upload.middleware');
+
+const router = express.Router();
+
+router
+  .route('/:reviewId')
+  .get(optionalAuth, getReview)
+  .put(protect, upload.array('photos', 5), updateReview)
+  .delete(protect, deleteReview);
+
+router
+  .route('/:reviewId/helpful')
+  .post(protect, markHelpful)
+  .delete(protect, unmarkHelpful);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+// src/api/routes/translation.routes.js
+const express = require('express');
+const {
+  getProposals,
+  getMyProposals,
+  acceptProposal,
+  rejectProposal
+} = require('../controllers/translation.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', authorize('chef', 'admin'), getProposals);
+router.get('/mine', getMyProposals);
+router.post('/:proposalId/accept', authorize('chef', 'admin'), acceptProposal);
+router.post('/:proposalId/reject', authorize('chef', 'admin'), rejectProposal);
+
+module.exports = router;
\ No newline at end of file
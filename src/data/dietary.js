@@ -0,0 +1,112 @@
+// src/data/dietary.js
+// Ingredient classification used to derive recipe allergens and diets.
+// Terms are matched as whole words against normalized (singular, lower
+// case) ingredient names and canonical ingredient keys, so "fish" matches
+// "smoked fish" but not "crayfish". Names containing one of the except
+// phrases are skipped for that group.
+
+// Allergen groups a recipe can contain
+const ALLERGENS = {
+  nut: {
+    terms: ['groundnut', 'peanut', 'cashew', 'almond', 'walnut', 'hazelnut',
+      'pistachio', 'pecan', 'macadamia', 'tiger nut', 'atadwe', 'brazil nut']
+  },
+  shellfish: {
+    terms: ['shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'periwinkle',
+      'oyster', 'mussel', 'clam', 'snail', 'squid', 'octopus']
+  },
+  fish: {
+    terms: ['fish', 'tilapia', 'herring', 'mackerel', 'sardine', 'tuna',
+      'salmon', 'anchovy', 'momoni', 'koobi', 'kako', 'keta school boy',
+      'amane', 'one man thousand', 'red fish']
+  },
+  egg: {
+    terms: ['egg', 'mayonnaise'],
+    except: ['garden egg', 'egg plant', 'eggplant']
+  },
+  dairy: {
+    terms: ['milk', 'butter', 'cheese', 'cream', 'yoghurt', 'yogurt', 'ghee',
+      'wagashi', 'whey'],
+    except: ['peanut butter', 'groundnut butter', 'shea butter', 'cocoa butter', 'butter bean',
+      'coconut milk', 'coconut cream', 'soy milk', 'tiger nut milk']
+  },
+  gluten: {
+    terms: ['wheat', 'flour', 'bread', 'pasta', 'spaghetti', 'macaroni',
+      'noodle', 'couscous', 'semolina', 'barley', 'rye', 'biscuit', 'breadcrumb'],
+    except: ['cassava flour', 'corn flour', 'cornflour', 'maize flour', 'rice flour',
+      'plantain flour', 'yam flour', 'millet flour', 'sorghum flour', 'gari', 'kokonte']
+  },
+  soy: {
+    terms: ['soy', 'soya', 'tofu', 'soy sauce']
+  },
+  sesame: {
+    terms: ['sesame', 'benne']
+  }
+};
+
+// What the user wrote under preferences.allergies -> allergen groups
+const ALLERGY_ALIASES = {
+  nuts: ['nut'],
+  'tree nut': ['nut'],
+  'tree nuts': ['nut'],
+  peanuts: ['nut'],
+  peanut: ['nut'],
+  groundnut: ['nut'],
+  groundnuts: ['nut'],
+  seafood: ['fish', 'shellfish'],
+  crustacean: ['shellfish'],
+  shellfishes: ['shellfish'],
+  eggs: ['egg'],
+  milk: ['dairy'],
+  lactose: ['dairy'],
+  wheat: ['gluten'],
+  coeliac: ['gluten'],
+  celiac: ['gluten'],
+  soya: ['soy']
+};
+
+// Ingredients that rule out a diet beyond the allergen groups above
+const MEAT_TERMS = ['beef', 'chicken', 'goat', 'mutton', 'lamb', 'pork', 'turkey',
+  'guinea fowl', 'duck', 'meat', 'bush meat', 'grasscutter', 'akrantie', 'wele',
+  'cow foot', 'cow skin', 'tripe', 'gizzard', 'liver', 'offal', 'sausage',
+  'bacon', 'ham', 'corned beef', 'gelatin', 'gelatine', 'lard', 'bone broth', 'chicken stock',
+  'beef stock'];
+const ANIMAL_PRODUCT_TERMS = ['honey'];
+const NON_HALAL_TERMS = ['pork', 'bacon', 'ham', 'lard', 'gelatin', 'gelatine',
+  'wine', 'palm wine', 'beer', 'rum', 'brandy', 'akpeteshie', 'liquor', 'whisky', 'gin'];
+
+// A recipe suits a diet when none of its ingredients match these
+// allergen groups or terms. Halal only looks at ingredients; it says
+// nothing about how the meat was slaughtered.
+const DIETS = {
+  vegetarian: {
+    allergens: ['fish', 'shellfish'],
+    terms: MEAT_TERMS
+  },
+  vegan: {
+    allergens: ['fish', 'shellfish', 'egg', 'dairy'],
+    terms: [...MEAT_TERMS, ...ANIMAL_PRODUCT_TERMS]
+  },
+  halal: {
+    allergens: [],
+    terms: NON_HALAL_TERMS
+  },
+  'gluten-free': {
+    allergens: ['gluten'],
+    terms: []
+  },
+  'dairy-free': {
+    allergens: ['dairy'],
+    terms: []
+  },
+  'nut-free': {
+    allergens: ['nut'],
+    terms: []
+  }
+};
+
+module.exports = {
+  ALLERGENS,
+  ALLERGY_ALIASES,
+  DIETS
+};
\ No newline at end of file
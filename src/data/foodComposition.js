@@ -0,0 +1,185 @@
+// src/data/foodComposition.js
+// Nutrients per 100 g edible portion of the ingredients in
+// src/data/ingredients.js, keyed by the same canonical names. Values are
+// rounded from the FAO/INFOODS West African Food Composition Table and
+// USDA FoodData Central, raw unless noted; shrimp is dried shrimp and
+// smoked_fish is smoked herring.
+// calories in kcal; protein, carbs, fat, fiber and sugar in grams;
+// vitaminA in micrograms retinol activity equivalents; the rest in mg.
+
+const FOOD_COMPOSITION = {
+  tomatoes: {
+    calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fiber: 1.2, sugar: 2.6, sodium: 5, cholesterol: 0,
+    vitaminA: 42, vitaminC: 13.7, iron: 0.3, calcium: 10
+  },
+  tomato_paste: {
+    calories: 82, protein: 4.3, carbs: 18.9, fat: 0.5, fiber: 4.1, sugar: 12.2, sodium: 98, cholesterol: 0,
+    vitaminA: 76, vitaminC: 22, iron: 3, calcium: 36
+  },
+  onions: {
+    calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fiber: 1.7, sugar: 4.2, sodium: 4, cholesterol: 0,
+    vitaminA: 0, vitaminC: 7.4, iron: 0.2, calcium: 23
+  },
+  garlic: {
+    calories: 149, protein: 6.4, carbs: 33.1, fat: 0.5, fiber: 2.1, sugar: 1, sodium: 17, cholesterol: 0,
+    vitaminA: 0, vitaminC: 31.2, iron: 1.7, calcium: 181
+  },
+  ginger: {
+    calories: 80, protein: 1.8, carbs: 17.8, fat: 0.8, fiber: 2, sugar: 1.7, sodium: 13, cholesterol: 0,
+    vitaminA: 0, vitaminC: 5, iron: 0.6, calcium: 16
+  },
+  pepper: {
+    calories: 40, protein: 1.9, carbs: 8.8, fat: 0.4, fiber: 1.5, sugar: 5.3, sodium: 9, cholesterol: 0,
+    vitaminA: 48, vitaminC: 144, iron: 1, calcium: 14
+  },
+  rice: {
+    calories: 360, protein: 6.6, carbs: 79.3, fat: 0.6, fiber: 1, sugar: 0.1, sodium: 5, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 0.8, calcium: 9
+  },
+  gari: {
+    calories: 358, protein: 1.2, carbs: 85, fat: 0.5, fiber: 2, sugar: 1.5, sodium: 20, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 1.3, calcium: 40
+  },
+  beans: {
+    calories: 336, protein: 23.5, carbs: 60, fat: 1.3, fiber: 10.6, sugar: 6.9, sodium: 16, cholesterol: 0,
+    vitaminA: 2, vitaminC: 1.5, iron: 8.3, calcium: 110
+  },
+  groundnut: {
+    calories: 567, protein: 25.8, carbs: 16.1, fat: 49.2, fiber: 8.5, sugar: 4.7, sodium: 18, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 4.6, calcium: 92
+  },
+  groundnut_paste: {
+    calories: 588, protein: 25, carbs: 20, fat: 50, fiber: 6, sugar: 9, sodium: 17, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 1.9, calcium: 43
+  },
+  palm_oil: {
+    calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, sugar: 0, sodium: 0, cholesterol: 0,
+    vitaminA: 2000, vitaminC: 0, iron: 0, calcium: 0
+  },
+  vegetable_oil: {
+    calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, sugar: 0, sodium: 0, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 0, calcium: 0
+  },
+  water: {
+    calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 0, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 0, calcium: 0
+  },
+  salt: {
+    calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 38758, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 0.3, calcium: 24
+  },
+  sugar: {
+    calories: 387, protein: 0, carbs: 100, fat: 0, fiber: 0, sugar: 100, sodium: 1, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 0.1, calcium: 1
+  },
+  flour: {
+    calories: 364, protein: 10.3, carbs: 76.3, fat: 1, fiber: 2.7, sugar: 0.3, sodium: 2, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 3, calcium: 15
+  },
+  corn_dough: {
+    calories: 185, protein: 4.5, carbs: 38, fat: 1.9, fiber: 2.5, sugar: 0.5, sodium: 5, cholesterol: 0,
+    vitaminA: 0, vitaminC: 0, iron: 1.2, calcium: 6
+  },
+  maize: {
+    calories: 365, protein: 9.4, carbs: 74.3, fat: 4.7, fiber: 7.3, sugar: 0.6, sodium: 35, cholesterol: 0,
+    vitaminA: 11, vitaminC: 0, iron: 2.7, calcium: 7
+  },
+  milk: {
+    calories: 134, protein: 6.8, carbs: 10, fat: 7.6, fiber: 0, sugar: 10, sodium: 106, cholesterol: 29,
+    vitaminA: 65, vitaminC: 1.9, iron: 0.2, calcium: 261
+  },
+  egg: {
+    calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fiber: 0, sugar: 0.4, sodium: 142, cholesterol: 372,
+    vitaminA: 160, vitaminC: 0, iron: 1.8, calcium: 56
+  },
+  plantain: {
+    calories: 122, protein: 1.3, carbs: 31.9, fat: 0.4, fiber: 2.3, sugar: 15, sodium: 4, cholesterol: 0,
+    vitaminA: 56, vitaminC: 18.4, iron: 0.6, calcium: 3
+  },
+  cassava: {
+    calories: 160, protein: 1.4, carbs: 38.1, fat: 0.3, fiber: 1.8, sugar: 1.7, sodium: 14, cholesterol: 0,
+    vitaminA: 1, vitaminC: 20.6, iron: 0.3, calcium: 16
+  },
+  yam: {
+    calories: 118, protein: 1.5, carbs: 27.9, fat: 0.2, fiber: 4.1, sugar: 0.5, sodium: 9, cholesterol: 0,
+    vitaminA: 7, vitaminC: 17.1, iron: 0.5, calcium: 17
+  },
+  cocoyam: {
+    calories: 112, protein: 1.5, carbs: 26.5, fat: 0.2, fiber: 4.1, sugar: 0.4, sodium: 11, cholesterol: 0,
+    vitaminA: 4, vitaminC: 4.5, iron: 0.6, calcium: 43
+  },
+  kontomire: {
+    calories: 42, protein: 5, carbs: 6.7, fat: 0.7, fiber: 3.7, sugar: 3, sodium: 3, cholesterol: 0,
+    vitaminA: 241, vitaminC: 52, iron: 2.3, calcium: 107
+  },
+  garden_eggs: {
+    calories: 25, protein: 1, carbs: 5.9, fat: 0.2, fiber: 3, sugar: 3.5, sodium: 2, cholesterol: 0,
+    vitaminA: 1, vitaminC: 2.2, iron: 0.2, calcium: 9
+  },
+  okro: {
+    calories: 33, protein: 1.9, carbs: 7.5, fat: 0.2, fiber: 3.2, sugar: 1.5, sodium: 7, cholesterol: 0,
+    vitaminA: 36, vitaminC: 23, iron: 0.6, calcium: 82
+  },
+  chicken: {
+    calories: 215, protein: 18.6, carbs: 0, fat: 15.1, fiber: 0, sugar: 0, sodium: 70, cholesterol: 75,
+    vitaminA: 41, vitaminC: 1.6, iron: 0.9, calcium: 11
+  },
+  beef: {
+    calories: 200, protein: 19, carbs: 0, fat: 13, fiber: 0, sugar: 0, sodium: 60, cholesterol: 70,
+    vitaminA: 0, vitaminC: 0, iron: 2.2, calcium: 12
+  },
+  goat: {
+    calories: 109, protein: 20.6, carbs: 0, fat: 2.3, fiber: 0, sugar: 0, sodium: 82, cholesterol: 57,
+    vitaminA: 0, vitaminC: 0, iron: 2.8, calcium: 13
+  },
+  fish_tilapia: {
+    calories: 96, protein: 20.1, carbs: 0, fat: 1.7, fiber: 0, sugar: 0, sodium: 52, cholesterol: 50,
+    vitaminA: 0, vitaminC: 0, iron: 0.6, calcium: 10
+  },
+  smoked_fish: {
+    calories: 300, protein: 45, carbs: 0, fat: 13, fiber: 0, sugar: 0, sodium: 900, cholesterol: 120,
+    vitaminA: 30, vitaminC: 0, iron: 3, calcium: 450
+  },
+  shrimp: {
+    calories: 280, protein: 59, carbs: 2.5, fat: 3.3, fiber: 0, sugar: 0, sodium: 1500, cholesterol: 450,
+    vitaminA: 30, vitaminC: 0, iron: 4, calcium: 1000
+  },
+  crab: {
+    calories: 87, protein: 18.1, carbs: 0, fat: 1.1, fiber: 0, sugar: 0, sodium: 290, cholesterol: 78,
+    vitaminA: 2, vitaminC: 3, iron: 0.7, calcium: 46
+  },
+  snail: {
+    calories: 90, protein: 16.1, carbs: 2, fat: 1.4, fiber: 0, sugar: 0, sodium: 70, cholesterol: 50,
+    vitaminA: 30, vitaminC: 0, iron: 3.5, calcium: 10
+  }
+};
+
+// Reported as nutrition.vitamins entries
+const MICRONUTRIENTS = {
+  vitaminA: { name: 'Vitamin A', unit: 'mcg' },
+  vitaminC: { name: 'Vitamin C', unit: 'mg' },
+  iron: { name: 'Iron', unit: 'mg' },
+  calcium: { name: 'Calcium', unit: 'mg' }
+};
+
+// Daily values for adults on a 2,000 kcal diet, in the units above
+const DAILY_VALUES = {
+  calories: 2000,
+  protein: 50,
+  carbs: 275,
+  fat: 78,
+  fiber: 28,
+  sugar: 50,
+  sodium: 2300,
+  cholesterol: 300,
+  vitaminA: 900,
+  vitaminC: 90,
+  iron: 18,
+  calcium: 1300
+};
+
+module.exports = {
+  FOOD_COMPOSITION,
+  MICRONUTRIENTS,
+  DAILY_VALUES
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+// src/data/ingredients.js
+// Reference data for common ingredients, keyed by the canonical names the
+// market price feed uses.
+// density: grams per millilitre, used for volume <-> weight conversion
+// weights: grams in one piece, bunch or tuber as sold in Ghanaian markets
+// All figures are typical values, not lab measurements.
+
+module.exports = {
+  tomatoes: {
+    aliases: ['tomato', 'fresh tomatoes'],
+    density: 0.95,
+    weights: { piece: 100 }
+  },
+  tomato_paste: {
+    aliases: ['tomato puree', 'tinned tomatoes', 'canned tomatoes'],
+    density: 1.1,
+    weights: { piece: 70 }
+  },
+  onions: {
+    aliases: ['onion', 'red onion', 'red onions'],
+    density: 0.6,
+    weights: { piece: 150 }
+  },
+  garlic: {
+    aliases: ['garlic clove', 'garlic cloves'],
+    density: 0.6,
+    weights: { piece: 5, bunch: 50 }
+  },
+  ginger: {
+    aliases: ['ginger root'],
+    density: 0.6,
+    weights: { piece: 30 }
+  },
+  pepper: {
+    aliases: ['peppers', 'chilli', 'chili', 'chilli pepper', 'hot pepper', 'kpakpo shito', 'scotch bonnet'],
+    density: 0.5,
+    weights: { piece: 10 }
+  },
+  rice: {
+    aliases: ['jasmine rice', 'perfumed rice', 'local rice', 'basmati rice'],
+    density: 0.85
+  },
+  gari: {
+    aliases: ['garri'],
+    density: 0.6
+  },
+  beans: {
+    aliases: ['black eyed beans', 'black-eyed peas', 'cowpeas', 'red beans'],
+    density: 0.8
+  },
+  groundnut: {
+    aliases: ['groundnuts', 'peanut', 'peanuts'],
+    density: 0.6,
+    weights: { piece: 0.5 }
+  },
+  groundnut_paste: {
+    aliases: ['peanut butter', 'groundnut butter'],
+    density: 1.1
+  },
+  palm_oil: {
+    aliases: ['red oil', 'zomi'],
+    density: 0.91
+  },
+  vegetable_oil: {
+    aliases: ['oil', 'cooking oil', 'sunflower oil', 'frytol'],
+    density: 0.92
+  },
+  water: {
+    aliases: [],
+    density: 1
+  },
+  salt: {
+    aliases: ['table salt'],
+    density: 1.2
+  },
+  sugar: {
+    aliases: ['granulated sugar', 'white sugar'],
+    density: 0.85
+  },
+  flour: {
+    aliases: ['wheat flour', 'all purpose flour', 'plain flour'],
+    density: 0.53
+  },
+  corn_dough: {
+    aliases: ['corn dough', 'maize dough', 'fermented corn dough'],
+    density: 1.1
+  },
+  maize: {
+    aliases: ['corn', 'corn flour', 'maize flour'],
+    density: 0.7
+  },
+  milk: {
+    aliases: ['evaporated milk', 'fresh milk'],
+    density: 1.03
+  },
+  egg: {
+    aliases: ['eggs'],
+    density: 1.03,
+    weights: { piece: 55 }
+  },
+  plantain: {
+    aliases: ['plantains', 'ripe plantain', 'unripe plantain'],
+    weights: { piece: 250, bunch: 2500 }
+  },
+  cassava: {
+    aliases: ['cassava tuber'],
+    weights: { piece: 500, tuber: 1000 }
+  },
+  yam: {
+    aliases: ['puna yam', 'white yam'],
+    weights: { piece: 500, tuber: 2500 }
+  },
+  cocoyam: {
+    aliases: ['cocoyams'],
+    weights: { piece: 150, tuber: 300 }
+  },
+  kontomire: {
+    aliases: ['cocoyam leaves', 'taro leaves'],
+    density: 0.3,
+    weights: { bunch: 250 }
+  },
+  garden_eggs: {
+    aliases: ['garden egg', 'eggplant', 'aubergine'],
+    weights: { piece: 60 }
+  },
+  okro: {
+    aliases: ['okra'],
+    weights: { piece: 12 }
+  },
+  chicken: {
+    aliases: ['chicken thighs', 'chicken breast', 'chicken pieces'],
+    weights: { piece: 200 }
+  },
+  beef: {
+    aliases: ['stewing beef', 'beef chunks'],
+    weights: { piece: 100 }
+  },
+  goat: {
+    aliases: ['goat meat', 'mutton'],
+    weights: { piece: 100 }
+  },
+  fish_tilapia: {
+    aliases: ['tilapia'],
+    weights: { piece: 400 }
+  },
+  smoked_fish: {
+    aliases: ['smoked herring', 'koobi', 'salted tilapia', 'momone', 'keta schoolboys'],
+    weights: { piece: 100 }
+  },
+  shrimp: {
+    aliases: ['shrimps', 'prawns', 'prawn', 'dried shrimp', 'dried shrimps'],
+    density: 0.45
+  },
+  crab: {
+    aliases: ['crabs'],
+    weights: { piece: 150 }
+  },
+  snail: {
+    aliases: ['snails', 'african giant snail'],
+    weights: { piece: 80 }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+// src/jobs/similarity.js
+const cron = require('node-cron');
+const similarityService = require('../services/similarity.service');
+const logger = require('../utils/logger');
+
+// Nightly by default; recipes added during the day get matches on the next run
+const SIMILARITY_SCHEDULE = process.env.SIMILARITY_CRON || '30 2 * * *';
+
+let running = false;
+
+// Recompute recipe.similar for every published recipe. Overlapping runs
+// are skipped rather than queued. Scheduled by the similarity worker
+// (scripts/similarityWorker.js), never in the API process: a run keeps
+// the CPU busy for as long as it takes.
+const runSimilarityJob = async () => {
+  if (running) {
+    logger.warn('Similar recipes job still running, skipping this run');
+    return null;
+  }
+  
+  running = true;
+  
+  try {
+    return await similarityService.computeAll();
+  } catch (error) {
+    logger.error(`Similar recipes job failed: ${error.message}`);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+const scheduleSimilarityJob = () => cron.schedule(SIMILARITY_SCHEDULE, runSimilarityJob);
+
+module.exports = {
+  runSimilarityJob,
+  scheduleSimilarityJob
+};
\ No newline at end of file
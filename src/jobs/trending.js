@@ -0,0 +1,36 @@
+// src/jobs/trending.js
+const cron = require('node-cron');
+const trendingService = require('../services/trending.service');
+const logger = require('../utils/logger');
+
+// Every 15 minutes by default
+const TRENDING_ROLLUP_SCHEDULE = process.env.TRENDING_ROLLUP_CRON || '*/15 * * * *';
+
+let running = false;
+
+// Persist the Redis trending counters and refresh the trending flags.
+// Overlapping runs are skipped rather than queued.
+const runTrendingRollup = async () => {
+  if (running) {
+    logger.warn('Trending rollup still running, skipping this run');
+    return null;
+  }
+  
+  running = true;
+  
+  try {
+    return await trendingService.rollup();
+  } catch (error) {
+    logger.error(`Trending rollup failed: ${error.message}`);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+const scheduleTrendingRollup = () => cron.schedule(TRENDING_ROLLUP_SCHEDULE, runTrendingRollup);
+
+module.exports = {
+  runTrendingRollup,
+  scheduleTrendingRollup
+};
\ No newline at end of file
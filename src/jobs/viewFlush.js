@@ -0,0 +1,36 @@
+// src/jobs/viewFlush.js
+const cron = require('node-cron');
+const viewCounterService = require('../services/viewCounter.service');
+const logger = require('../utils/logger');
+
+// Every minute by default
+const VIEW_FLUSH_SCHEDULE = process.env.VIEW_FLUSH_CRON || '* * * * *';
+
+let running = false;
+
+// Write the views buffered in Redis to Mongo. Overlapping runs are
+// skipped rather than queued.
+const runViewFlush = async () => {
+  if (running) {
+    logger.warn('View flush still running, skipping this run');
+    return null;
+  }
+  
+  running = true;
+  
+  try {
+    return await viewCounterService.flush();
+  } catch (error) {
+    logger.error(`View flush failed: ${error.message}`);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+const scheduleViewFlush = () => cron.schedule(VIEW_FLUSH_SCHEDULE, runViewFlush);
+
+module.exports = {
+  runViewFlush,
+  scheduleViewFlush
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+// src/models/collection.model.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+const collectionRecipeSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the collection a name'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  coverImage: String,
+  // private: owner only; unlisted: anyone with the share link; public:
+  // also listed when browsing
+  privacy: {
+    type: String,
+    enum: ['private', 'unlisted', 'public'],
+    default: 'private'
+  },
+  // Secret part of the share link; rotating it revokes old links
+  shareToken: {
+    type: String,
+    default: generateShareToken,
+    select: false
+  },
+  // In the owner's order
+  recipes: [collectionRecipeSchema],
+  // Kept with recipes, for listings that leave the recipes out
+  recipeCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+collectionSchema.index({ owner: 1, updatedAt: -1 });
+collectionSchema.index({ privacy: 1, updatedAt: -1 });
+collectionSchema.index({ shareToken: 1 }, { unique: true });
+collectionSchema.index({ name: 'text', description: 'text' });
+
+collectionSchema.statics.generateShareToken = generateShareToken;
+
+collectionSchema.methods.isOwnedBy = function(user) {
+  const ownerId = this.owner._id || this.owner;
+  return !!user && ownerId.toString() === user.id;
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
\ No newline at end of file
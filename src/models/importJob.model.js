@@ -0,0 +1,62 @@
+// src/models/importJob.model.js
+const mongoose = require('mongoose');
+
+const rowResultSchema = new mongoose.Schema({
+  row: Number, // 1-based data row, not counting the CSV header
+  ref: String,
+  status: {
+    type: String,
+    enum: ['valid', 'inserted', 'duplicate', 'invalid', 'failed']
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  // Why the row was rejected
+  issues: [{
+    field: String,
+    message: String
+  }]
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  // Idempotency key: re-running a job with the same key returns this job,
+  // unless it failed
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json']
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: [rowResultSchema],
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
\ No newline at end of file
@@ -1,6 +1,59 @@
 // src/models/recipe.model.js
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { GHANA_REGIONS, RECIPE_STATUS_TRANSITIONS, CONTENT_VISIBILITY } = require('../utils/constants');
+const {
+  ALLERGEN_GROUPS,
+  DIET_NAMES,
+  classifyIngredients,
+  buildPreferenceQuery
+} = require('../utils/dietary');
+const {
+  NUTRITION_FIELDS,
+  NUTRITION_SOURCES,
+  percentDailyValue,
+  micronutrientKey,
+  calculateNutrition
+} = require('../utils/nutrition');
+
+// Translations of ingredient and instruction text. English stays in the
+// main fields, which the pricing and search code reads.
+const ingredientTranslationSchema = new mongoose.Schema({
+  item: String,
+  notes: String
+}, { _id: false });
+
+const instructionTranslationSchema = new mongoose.Schema({
+  description: String,
+  tips: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+// A recipe's match in recipe.similar. premium is a copy of the matched
+// recipe's flag, so free users' lists can skip it without a lookup.
+const similarRecipeSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  score: Number,
+  premium: Boolean
+}, { _id: false });
+
+// Whether each nutrition value was computed from the ingredients or
+// entered by the author
+const nutritionSourceFields = NUTRITION_FIELDS.reduce((fields, field) => {
+  fields[field] = { type: String, enum: NUTRITION_SOURCES };
+  return fields;
+}, {});
+
+// Percent of the daily value per serving
+const dailyValueFields = NUTRITION_FIELDS.reduce((fields, field) => {
+  fields[field] = Number;
+  return fields;
+}, {});
 
 const recipeSchema = new mongoose.Schema({
   name: {
@@ -60,7 +113,12 @@ const recipeSchema = new mongoose.Schema({
       default: false
     },
     substitutes: [String],
-    notes: String
+    notes: String,
+    translations: {
+      tw: ingredientTranslationSchema,
+      ee: ingredientTranslationSchema,
+      ga: ingredientTranslationSchema
+    }
   }],
   instructions: [{
     step: {
@@ -81,7 +139,12 @@ const recipeSchema = new mongoose.Schema({
         enum: ['C', 'F']
       }
     },
-    tips: [String]
+    tips: [String],
+    translations: {
+      tw: instructionTranslationSchema,
+      ee: instructionTranslationSchema,
+      ga: instructionTranslationSchema
+    }
   }],
   nutrition: {
     servingSize: String,
@@ -97,8 +160,17 @@ const recipeSchema = new mongoose.Schema({
       name: String,
       amount: Number,
       unit: String,
-      percentDailyValue: Number
-    }]
+      percentDailyValue: Number,
+      source: {
+        type: String,
+        enum: NUTRITION_SOURCES
+      }
+    }],
+    dailyValues: dailyValueFields,
+    sources: nutritionSourceFields,
+    // Ingredients left out of the computed values
+    unmatchedIngredients: [String],
+    computedAt: Date
   },
   prepTime: {
     type: Number, // minutes
@@ -141,11 +213,18 @@ const recipeSchema = new mongoose.Schema({
   }],
   region: {
     type: String,
-    enum: ['greater_accra', 'ashanti', 'western', 'central', 'eastern', 
-           'volta', 'northern', 'upper_east', 'upper_west', 'brong_ahafo', 
-           'oti', 'bono_east', 'ahafo', 'western_north', 'north_east', 'savannah']
+    enum: GHANA_REGIONS
   },
   tags: [String],
+  // Derived from the ingredients on save
+  allergens: [{
+    type: String,
+    enum: ALLERGEN_GROUPS
+  }],
+  dietaryFlags: [{
+    type: String,
+    enum: DIET_NAMES
+  }],
   cookingMethod: [{
     type: String,
     enum: ['boiling', 'frying', 'grilling', 'baking', 'steaming', 'roasting', 
@@ -189,6 +268,23 @@ const recipeSchema = new mongoose.Schema({
     default: 'original'
   },
   attribution: String,
+  // Recipe this one was forked from, and every ancestor from the first
+  // original down to the parent
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  lineage: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  }],
+  forkCount: {
+    type: Number,
+    default: 0
+  },
+  // Row identity from bulk imports, so re-running an import skips rows
+  // that are already in
+  importRef: String,
   featured: {
     type: Boolean,
     default: false
@@ -202,6 +298,42 @@ const recipeSchema = new mongoose.Schema({
     default: true
   },
   publishedAt: Date,
+  status: {
+    type: String,
+    enum: Object.keys(RECIPE_STATUS_TRANSITIONS),
+    default: 'published'
+  },
+  // Set by content moderation (reports), apart from the publishing workflow
+  visibility: {
+    type: String,
+    enum: CONTENT_VISIBILITY,
+    default: 'visible'
+  },
+  moderation: {
+    submittedAt: Date,
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewStartedAt: Date,
+    reviewedAt: Date,
+    rejectionReason: String,
+    notes: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: {
+        type: String,
+        required: true,
+        maxlength: [1000, 'Reviewer note cannot exceed 1000 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   ratings: {
     average: {
       type: Number,
@@ -212,6 +344,12 @@ const recipeSchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
+    },
+    // Bayesian average used for ranking, pulled towards the site-wide mean
+    // while a recipe has few reviews
+    weighted: {
+      type: Number,
+      default: 0
     }
   },
   reviews: [{
@@ -222,6 +360,11 @@ const recipeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Last view flush that counted into views, so a retried flush skips it
+  viewFlush: {
+    type: String,
+    select: false
+  },
   saves: {
     type: Number,
     default: 0
@@ -234,6 +377,18 @@ const recipeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Written by the similarity job, best match first
+  similar: {
+    type: [similarRecipeSchema],
+    select: false
+  },
+  similarComputedAt: Date,
+  // Set by the trending rollup for the top recipes of the last 7 days
+  trending: {
+    score: Number,
+    rank: Number,
+    updatedAt: Date
+  },
   seo: {
     metaTitle: String,
     metaDescription: String,
@@ -251,9 +406,16 @@ recipeSchema.index({ 'name.en': 'text', 'description.en': 'text', tags: 'text' }
 recipeSchema.index({ categories: 1 });
 recipeSchema.index({ region: 1 });
 recipeSchema.index({ 'ratings.average': -1 });
+recipeSchema.index({ 'ratings.weighted': -1 });
 recipeSchema.index({ views: -1 });
+recipeSchema.index({ 'estimatedCost.amount': 1 });
 recipeSchema.index({ createdAt: -1 });
 recipeSchema.index({ featured: 1, published: 1 });
+recipeSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+recipeSchema.index({ allergens: 1 });
+recipeSchema.index({ dietaryFlags: 1 });
+recipeSchema.index({ importRef: 1 }, { unique: true, sparse: true });
+recipeSchema.index({ lineage: 1, views: -1 });
 
 // Pre-save middleware
 recipeSchema.pre('save', function(next) {
@@ -262,6 +424,42 @@ recipeSchema.pre('save', function(next) {
     this.slug = slugify(this.name.en, { lower: true });
   }
   
+  // Keep the published flag in step with the moderation status. Hidden
+  // and removed recipes drop out of everything that lists published ones.
+  // $isNew: the isNew virtual below means "created this week"
+  if (this.$isNew || this.isModified('status') || this.isModified('visibility')) {
+    this.published = this.status === 'published' && this.visibility === 'visible';
+    
+    if (this.published && !this.publishedAt) {
+      this.publishedAt = Date.now();
+    }
+  }
+  
+  // Classify allergens and diets from the ingredient list. Direct writes
+  // to either field are recomputed too, so they always match it.
+  if (this.isModified('ingredients') || this.isModified('allergens') || this.isModified('dietaryFlags')) {
+    const { allergens, dietaryFlags } = classifyIngredients(this.ingredients);
+    this.allergens = allergens;
+    this.dietaryFlags = dietaryFlags;
+  }
+  
+  // Values the author typed in are kept; clearing one hands it back to
+  // the calculation. Skipped when computeNutrition already ran.
+  if (!this.$locals.nutritionComputed) {
+    const edited = NUTRITION_FIELDS.filter(field => this.isModified(`nutrition.${field}`));
+    
+    edited.forEach((field) => {
+      const manual = typeof this.nutrition[field] === 'number';
+      this.set(`nutrition.sources.${field}`, manual ? 'manual' : undefined);
+    });
+    
+    if (this.isModified('ingredients') || this.isModified('servings')
+      || this.isModified('nutrition.vitamins') || edited.length > 0) {
+      this.computeNutrition();
+    }
+  }
+  this.$locals.nutritionComputed = false;
+  
   // Calculate total time
   this.totalTime = this.prepTime + this.cookTime;
   
@@ -273,6 +471,21 @@ recipeSchema.pre('save', function(next) {
   next();
 });
 
+// Slugs are unique, but names needn't be (every fork starts with its
+// parent's): a slug already in use gets the end of the recipe's id added.
+// $locals.suffixSlug adds it without asking, for retries after a
+// concurrent save took the slug between the check and the insert.
+recipeSchema.pre('save', async function() {
+  if (!this.isModified('slug')) return;
+  
+  const taken = this.$locals.suffixSlug
+    || await this.constructor.exists({ slug: this.slug, _id: { $ne: this._id } });
+  
+  if (taken) {
+    this.slug = `${this.slug}-${this._id.toString().slice(-6)}`;
+  }
+});
+
 // Virtual for isNew (recipe created in last 7 days)
 recipeSchema.virtual('isNew').get(function() {
   const weekAgo = new Date();
@@ -280,21 +493,89 @@ recipeSchema.virtual('isNew').get(function() {
   return this.createdAt > weekAgo;
 });
 
-// Virtual for isTrending (high views in last 30 days)
+// Virtual for isTrending (ranked in the latest rollup of the last 7 days'
+// activity). A rank older than a day is ignored in case the job stopped.
 recipeSchema.virtual('isTrending').get(function() {
-  return this.views > 1000 && this.ratings.average >= 4;
+  if (!this.trending || !this.trending.rank || !this.trending.updatedAt) {
+    return false;
+  }
+  
+  const dayAgo = new Date();
+  dayAgo.setDate(dayAgo.getDate() - 1);
+  return this.trending.updatedAt > dayAgo;
 });
 
+// Instance methods
+recipeSchema.methods.canTransitionTo = function(status) {
+  return (RECIPE_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+recipeSchema.methods.isOwnedBy = function(user) {
+  const authorId = this.author._id || this.author;
+  return !!user && (authorId.toString() === user.id || user.role === 'admin');
+};
+
+// Fill in nutrition per serving from the ingredients. Manually entered
+// values are kept unless keepManual is false.
+recipeSchema.methods.computeNutrition = function({ keepManual = true } = {}) {
+  const result = calculateNutrition(this.ingredients, this.servings);
+  const sources = this.nutrition.sources || {};
+  
+  NUTRITION_FIELDS.forEach((field) => {
+    if (keepManual && sources[field] === 'manual') return;
+    
+    const value = result ? result.values[field] : undefined;
+    this.set(`nutrition.${field}`, value);
+    this.set(`nutrition.sources.${field}`, value === undefined ? undefined : 'computed');
+  });
+  
+  const manualVitamins = keepManual
+    ? this.nutrition.vitamins
+      .filter(vitamin => vitamin.source !== 'computed')
+      .map(vitamin => ({
+        ...vitamin.toObject(),
+        percentDailyValue: vitamin.percentDailyValue
+          ?? percentDailyValue(micronutrientKey(vitamin.name), vitamin.amount),
+        source: 'manual'
+      }))
+    : [];
+  const manualNames = manualVitamins.map(vitamin => String(vitamin.name).toLowerCase());
+  const computedVitamins = result
+    ? result.vitamins
+      .filter(vitamin => !manualNames.includes(vitamin.name.toLowerCase()))
+      .map(vitamin => ({ ...vitamin, source: 'computed' }))
+    : [];
+  
+  this.nutrition.vitamins = [...manualVitamins, ...computedVitamins];
+  
+  NUTRITION_FIELDS.forEach((field) => {
+    this.set(`nutrition.dailyValues.${field}`, percentDailyValue(field, this.nutrition[field]));
+  });
+  
+  this.nutrition.unmatchedIngredients = result
+    ? result.unmatched
+    : this.ingredients.filter(ingredient => !ingredient.optional).map(ingredient => ingredient.item);
+  this.nutrition.computedAt = Date.now();
+  this.$locals.nutritionComputed = true;
+  
+  return this.nutrition;
+};
+
+// Unpublished recipes are only visible to their author and admins
+recipeSchema.methods.isVisibleTo = function(user) {
+  return this.published || this.isOwnedBy(user);
+};
+
 // Static methods
-recipeSchema.statics.getFeatured = function() {
-  return this.find({ featured: true, published: true })
+recipeSchema.statics.getFeatured = function(criteria = {}) {
+  return this.find({ ...criteria, featured: true, published: true })
     .populate('author', 'name avatar')
     .limit(10)
     .sort('-createdAt');
 };
 
-recipeSchema.statics.getPopular = function() {
-  return this.find({ published: true })
+recipeSchema.statics.getPopular = function(criteria = {}) {
+  return this.find({ ...criteria, published: true })
     .populate('author', 'name avatar')
     .sort('-views -ratings.average')
     .limit(20);
@@ -328,7 +609,13 @@ recipeSchema.statics.searchRecipes = async function(query, filters = {}) {
   }
   
   if (filters.dietary) {
-    searchCriteria.tags = { $in: filters.dietary };
+    searchCriteria.dietaryFlags = { $all: filters.dietary };
+  }
+  
+  // Leave out recipes that conflict with the user's allergies and diets
+  const restrictions = buildPreferenceQuery(filters.preferences);
+  if (restrictions) {
+    searchCriteria.$and = [restrictions];
   }
   
   return this.find(searchCriteria)
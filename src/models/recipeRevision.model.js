@@ -0,0 +1,62 @@
+// src/models/recipeRevision.model.js
+const mongoose = require('mongoose');
+
+const recipeRevisionSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true,
+    immutable: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // Full copy of the recipe's editable fields after this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  changedFields: {
+    type: [String],
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+recipeRevisionSchema.index({ recipe: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+const rejectMutation = function(next) {
+  next(new Error('Recipe revisions are immutable'));
+};
+
+recipeRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']
+  .forEach(operation => recipeRevisionSchema.pre(operation, rejectMutation));
+
+recipeRevisionSchema.statics.getLatest = function(recipeId) {
+  return this.findOne({ recipe: recipeId }).sort('-revision');
+};
+
+module.exports = mongoose.model('RecipeRevision', recipeRevisionSchema);
\ No newline at end of file
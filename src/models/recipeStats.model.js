@@ -0,0 +1,36 @@
+// src/models/recipeStats.model.js
+const mongoose = require('mongoose');
+
+// Daily activity on a recipe, rolled up from the Redis trending counters
+const recipeStatsSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  saves: {
+    type: Number,
+    default: 0
+  },
+  cooks: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+recipeStatsSchema.index({ recipe: 1, date: -1 }, { unique: true });
+recipeStatsSchema.index({ date: -1 });
+
+module.exports = mongoose.model('RecipeStats', recipeStatsSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+// src/models/report.model.js
+const mongoose = require('mongoose');
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require('../utils/constants');
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Whoever is answerable for the content: the recipe's author, the
+  // reviewer, or the reported user
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Please choose a reason for the report']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['hide', 'restore', 'remove', 'warn', 'suspend', 'dismiss']
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Moderator note cannot exceed 1000 characters']
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reportSchema.index({ status: 1, targetType: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+// One open report per user for the same content, so the count of open
+// reports is a count of people
+reportSchema.index(
+  { targetType: 1, target: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
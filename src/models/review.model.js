@@ -0,0 +1,69 @@
+// src/models/review.model.js
+const mongoose = require('mongoose');
+const { CONTENT_VISIBILITY } = require('../utils/constants');
+
+const reviewSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a rating between 1 and 5'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  photos: [{
+    url: String,
+    caption: String
+  }],
+  // Set by the server: the reviewer had logged cooking the recipe
+  cooked: {
+    type: Boolean,
+    default: false
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Users who found the review helpful, one vote each
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Hidden and removed reviews don't count towards the recipe's ratings
+  visibility: {
+    type: String,
+    enum: CONTENT_VISIBILITY,
+    default: 'visible'
+  },
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ recipe: 1, user: 1 }, { unique: true });
+reviewSchema.index({ recipe: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ recipe: 1, createdAt: -1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+// src/models/translationProposal.model.js
+const mongoose = require('mongoose');
+const { TRANSLATION_LANGUAGES } = require('../utils/i18n');
+
+const translationProposalSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  // name, description, or <ingredients|instructions>.<entryId>.<field>
+  field: {
+    type: String,
+    required: [true, 'Please specify the field being translated']
+  },
+  language: {
+    type: String,
+    enum: TRANSLATION_LANGUAGES,
+    required: [true, 'Please specify the translation language']
+  },
+  // Tips are proposed one per line
+  text: {
+    type: String,
+    required: [true, 'Please provide the translation'],
+    trim: true,
+    maxlength: [2000, 'Translation cannot exceed 2000 characters']
+  },
+  // English text the translation was made from
+  original: String,
+  proposer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNote: String,
+  reviewedAt: Date,
+  pointsAwarded: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+translationProposalSchema.index({ status: 1, language: 1, createdAt: 1 });
+translationProposalSchema.index({ recipe: 1, field: 1, language: 1 });
+translationProposalSchema.index({ proposer: 1, createdAt: -1 });
+
+// One open proposal per user for the same text
+translationProposalSchema.index(
+  { recipe: 1, field: 1, language: 1, proposer: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('TranslationProposal', translationProposalSchema);
\ No newline at end of file
@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { CONTENT_VISIBILITY } = require('../utils/constants');
+const { maskHiddenProfile } = require('../utils/helpers');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -150,10 +152,39 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set by moderators; a suspended account can't sign in (isActive: false)
+  suspendedAt: Date,
+  suspensionReason: String,
+  warnings: [{
+    reason: {
+      type: String,
+      required: true
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Always selected so profiles populated with only a name and avatar are
+  // still masked when hidden
+  visibility: {
+    type: String,
+    enum: CONTENT_VISIBILITY,
+    default: 'visible',
+    select: true
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Profiles hidden by moderators show without their name and avatar
+    transform: (doc, ret) => maskHiddenProfile(ret)
+  },
   toObject: { virtuals: true }
 });
 
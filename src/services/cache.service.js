@@ -1,8 +1,30 @@
 // src/services/cache.service.js
+const crypto = require('crypto');
 const redis = require('../config/redis');
 const logger = require('../utils/logger');
 
+// Tag sets outlive the entries they list; members that expired on their
+// own are simply missing when a tag is invalidated
+const TAG_TTL = 24 * 60 * 60;
+const SCAN_COUNT = 200;
+const DELETE_BATCH_SIZE = 500;
+
 class CacheService {
+  // namespace:part:...:hash of the params, so the same query in any
+  // parameter order shares an entry
+  buildKey(namespace, parts = [], params = {}) {
+    const normalized = Object.keys(params)
+      .sort()
+      .map(name => [name, params[name]]);
+    const hash = crypto.createHash('md5').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+    
+    return [namespace, ...parts, hash].join(':');
+  }
+  
+  tagKey(tag) {
+    return `tag:${tag}`;
+  }
+  
   async get(key) {
     try {
       const data = await redis.get(key);
@@ -23,6 +45,53 @@ class CacheService {
     }
   }
   
+  // Cache an entry under tags (e.g. recipe:<id>, recipes:list) so
+  // invalidateTags can evict exactly the entries that hold them
+  async setWithTags(key, value, ttl = 3600, tags = []) {
+    try {
+      const pipeline = redis.multi().set(key, value, 'EX', ttl);
+      
+      [...new Set(tags)].forEach((tag) => {
+        pipeline.sadd(this.tagKey(tag), key);
+        pipeline.expire(this.tagKey(tag), Math.max(ttl, TAG_TTL));
+      });
+      
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error(`Cache setWithTags error: ${error.message}`);
+      return false;
+    }
+  }
+  
+  // Evict every entry cached under any of the tags. Returns how many
+  // keys were listed.
+  async invalidateTags(tags) {
+    try {
+      const tagKeys = [...new Set(tags)].map(tag => this.tagKey(tag));
+      if (tagKeys.length === 0) return 0;
+      
+      const pipeline = redis.pipeline();
+      tagKeys.forEach(tagKey => pipeline.smembers(tagKey));
+      const results = await pipeline.exec();
+      
+      const keys = [...new Set(results.flatMap(([error, members]) => (error ? [] : members)))];
+      await this.deleteKeys([...keys, ...tagKeys]);
+      
+      return keys.length;
+    } catch (error) {
+      logger.error(`Cache invalidateTags error: ${error.message}`);
+      return 0;
+    }
+  }
+  
+  // UNLINK frees memory off the main thread
+  async deleteKeys(keys) {
+    for (let start = 0; start < keys.length; start += DELETE_BATCH_SIZE) {
+      await redis.unlink(...keys.slice(start, start + DELETE_BATCH_SIZE));
+    }
+  }
+  
   async del(key) {
     try {
       await redis.del(key);
@@ -33,12 +102,18 @@ class CacheService {
     }
   }
   
+  // Walks the keyspace with SCAN rather than KEYS, which blocks Redis.
+  // Prefer tags; this is for maintenance.
   async clearPattern(pattern) {
     try {
-      const keys = await redis.keys(pattern);
-      if (keys.length > 0) {
-        await redis.del(...keys);
-      }
+      let cursor = '0';
+      
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+        cursor = next;
+        await this.deleteKeys(keys);
+      } while (cursor !== '0');
+      
       return true;
     } catch (error) {
       logger.error(`Cache clear pattern error: ${error.message}`);
@@ -46,6 +121,28 @@ class CacheService {
     }
   }
   
+  // Set only when the key is missing; true if this call set it. Errors
+  // return null so callers can tell "already set" from "Redis is down".
+  async setIfAbsent(key, value, ttl = 3600) {
+    try {
+      const result = await redis.set(key, value, 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error(`Cache setIfAbsent error: ${error.message}`);
+      return null;
+    }
+  }
+  
+  async rename(key, newKey) {
+    try {
+      await redis.rename(key, newKey);
+      return true;
+    } catch (error) {
+      logger.error(`Cache rename error: ${error.message}`);
+      return false;
+    }
+  }
+  
   async exists(key) {
     try {
       const exists = await redis.exists(key);
@@ -96,15 +193,54 @@ class CacheService {
     }
   }
   
-  async hdel(key, field) {
+  async hdel(key, ...fields) {
     try {
-      await redis.hdel(key, field);
+      await redis.hdel(key, ...fields);
       return true;
     } catch (error) {
       logger.error(`Cache hdel error: ${error.message}`);
       return false;
     }
   }
+  
+  // Counter in a hash of counters, e.g. one field per recipe in an hourly
+  // bucket. The TTL is refreshed on every increment.
+  async hincrby(key, field, amount = 1, ttl = null) {
+    try {
+      const pipeline = redis.multi().hincrby(key, field, amount);
+      if (ttl) {
+        pipeline.expire(key, ttl);
+      }
+      const [[, value]] = await pipeline.exec();
+      return value;
+    } catch (error) {
+      logger.error(`Cache hincrby error: ${error.message}`);
+      return 0;
+    }
+  }
+  
+  async hgetall(key) {
+    try {
+      const values = await redis.hgetall(key);
+      return values || {};
+    } catch (error) {
+      logger.error(`Cache hgetall error: ${error.message}`);
+      return {};
+    }
+  }
+  
+  // Several counter hashes in one round trip, in the order of the keys
+  async hgetallMany(keys) {
+    try {
+      const pipeline = redis.pipeline();
+      keys.forEach(key => pipeline.hgetall(key));
+      const results = await pipeline.exec();
+      return results.map(([error, values]) => (error ? {} : values || {}));
+    } catch (error) {
+      logger.error(`Cache hgetallMany error: ${error.message}`);
+      return keys.map(() => ({}));
+    }
+  }
 }
 
 module.exports = new CacheService();
\ No newline at end of file
@@ -0,0 +1,128 @@
+// src/services/collection.service.js
+const Collection = require('../models/collection.model');
+const recipeService = require('./recipe.service');
+const { localizeRecipe } = require('../utils/i18n');
+
+const MAX_COLLECTION_RECIPES = 500;
+
+const CARD_FIELDS = 'name slug description images totalTime difficulty region categories ratings premium published author';
+
+// What a free user sees of a premium recipe in a collection: enough to
+// show where it sits, none of the recipe itself
+const TEASER_FIELDS = ['_id', 'name', 'slug', 'images', 'premium'];
+
+class CollectionService {
+  constructor() {
+    this.maxRecipes = MAX_COLLECTION_RECIPES;
+  }
+  
+  // Private collections are for their owner; unlisted ones also for
+  // anyone with the share link; public ones for everyone
+  canView(collection, user, { viaShareLink = false } = {}) {
+    if (collection.isOwnedBy(user) || (user && user.role === 'admin')) {
+      return true;
+    }
+    
+    if (collection.privacy === 'public') {
+      return true;
+    }
+    
+    return collection.privacy === 'unlisted' && viaShareLink;
+  }
+  
+  findWithRecipes(query) {
+    return Collection.findOne(query)
+      .populate('owner', 'name avatar')
+      .populate({
+        path: 'recipes.recipe',
+        select: CARD_FIELDS,
+        populate: { path: 'author', select: 'name avatar' }
+      });
+  }
+  
+  // The collection as the user may see it. Recipes that were deleted or
+  // unpublished since they were added are left out, and premium recipes
+  // stay locked for free users.
+  toView(collection, user, language) {
+    const locked = recipeService.getAccessTier(user) === 'free';
+    const data = collection.toObject();
+    
+    data.recipes = collection.recipes
+      .filter(entry => entry.recipe && entry.recipe.isVisibleTo(user))
+      .map((entry) => {
+        let recipe = language ? localizeRecipe(entry.recipe, language) : entry.recipe.toObject();
+        
+        if (locked && recipe.premium) {
+          recipe = TEASER_FIELDS.reduce((teaser, field) => {
+            teaser[field] = recipe[field];
+            return teaser;
+          }, { locked: true });
+          recipe.images = (recipe.images || []).filter(image => image.isMain).slice(0, 1);
+        }
+        
+        return { recipe, note: entry.note, addedAt: entry.addedAt };
+      });
+    
+    // Without a cover of its own, the first recipe's main image stands in
+    if (!data.coverImage) {
+      const firstImages = data.recipes.length > 0 ? data.recipes[0].recipe.images || [] : [];
+      const cover = firstImages.find(image => image.isMain) || firstImages[0];
+      data.coverImage = cover ? cover.url : null;
+    }
+    
+    return data;
+  }
+  
+  // Add a recipe once, at the end or at a position. Returns the updated
+  // collection, or null when the recipe is already in it or it's full.
+  async addRecipe(collectionId, recipeId, { note, position } = {}) {
+    const push = { $each: [{ recipe: recipeId, note }] };
+    
+    if (Number.isInteger(position) && position >= 0) {
+      push.$position = position;
+    }
+    
+    return Collection.findOneAndUpdate(
+      {
+        _id: collectionId,
+        'recipes.recipe': { $ne: recipeId },
+        recipeCount: { $lt: this.maxRecipes }
+      },
+      { $push: { recipes: push }, $inc: { recipeCount: 1 } },
+      { new: true, runValidators: true }
+    );
+  }
+  
+  // Returns the updated collection, or null when the recipe wasn't in it
+  async removeRecipe(collectionId, recipeId) {
+    return Collection.findOneAndUpdate(
+      { _id: collectionId, 'recipes.recipe': recipeId },
+      { $pull: { recipes: { recipe: recipeId } }, $inc: { recipeCount: -1 } },
+      { new: true }
+    );
+  }
+  
+  // Take a deleted recipe out of every collection holding it
+  async removeRecipeEverywhere(recipeId) {
+    await Collection.updateMany(
+      { 'recipes.recipe': recipeId },
+      { $pull: { recipes: { recipe: recipeId } }, $inc: { recipeCount: -1 } }
+    );
+  }
+  
+  // Put the recipes in the given order, which must name each recipe of the
+  // collection exactly once. Returns false otherwise.
+  reorder(collection, recipeIds) {
+    const entries = new Map(collection.recipes.map(entry => [entry.recipe.toString(), entry]));
+    const ids = recipeIds.map(String);
+    
+    if (ids.length !== entries.size || new Set(ids).size !== ids.length || !ids.every(id => entries.has(id))) {
+      return false;
+    }
+    
+    collection.recipes = ids.map(id => entries.get(id));
+    return true;
+  }
+}
+
+module.exports = new CollectionService();
\ No newline at end of file
@@ -1,9 +1,7 @@
 // src/services/email.service.js
 const nodemailer = require('nodemailer');
-const handlebars = require('handlebars');
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('../utils/logger');
+const { loadTemplates } = require('../utils/templates');
 
 class EmailService {
   constructor() {
@@ -23,22 +21,19 @@ class EmailService {
   }
   
   async loadTemplates() {
-    const templateDir = path.join(__dirname, '../templates/emails');
     const templates = [
       'welcome',
       'passwordReset',
       'subscription',
       'recipeShared',
-      'weeklyDigest'
+      'weeklyDigest',
+      'recipeRejected',
+      'accountWarning',
+      'accountSuspended',
+      'recipeForked'
     ];
     
-    for (const template of templates) {
-      const html = await fs.readFile(
-        path.join(templateDir, `${template}.hbs`),
-        'utf8'
-      );
-      this.templates[template] = handlebars.compile(html);
-    }
+    this.templates = await loadTemplates('emails', templates);
   }
   
   async sendEmail(to, subject, template, data) {
@@ -103,6 +98,65 @@ class EmailService {
     );
   }
   
+  async sendRecipeRejectedEmail(user, recipe, reason, notes = []) {
+    const recipeUrl = `${process.env.CLIENT_URL}/my-recipes/${recipe._id}/edit`;
+    
+    return this.sendEmail(
+      user.email,
+      `Your recipe "${recipe.name.en}" needs changes`,
+      'recipeRejected',
+      {
+        name: user.name,
+        recipeName: recipe.name.en,
+        reason,
+        // Plain objects: Handlebars can't read subdocument getters
+        notes: notes.map(({ note }) => ({ note })),
+        recipeUrl
+      }
+    );
+  }
+  
+  async sendAccountWarningEmail(user, reason) {
+    return this.sendEmail(
+      user.email,
+      'A warning about your Ghana Recipes account',
+      'accountWarning',
+      {
+        name: user.name,
+        reason
+      }
+    );
+  }
+  
+  async sendAccountSuspendedEmail(user, reason) {
+    return this.sendEmail(
+      user.email,
+      'Your Ghana Recipes account has been suspended',
+      'accountSuspended',
+      {
+        name: user.name,
+        reason
+      }
+    );
+  }
+  
+  async sendRecipeForkedEmail(user, recipe, forker, points) {
+    const recipeUrl = `${process.env.CLIENT_URL}/recipes/${recipe.slug}`;
+    
+    return this.sendEmail(
+      user.email,
+      `${forker.name} forked your recipe "${recipe.name.en}"`,
+      'recipeForked',
+      {
+        name: user.name,
+        forkerName: forker.name,
+        recipeName: recipe.name.en,
+        points,
+        recipeUrl
+      }
+    );
+  }
+  
   async sendWeeklyDigest(user, recipes, mealPlan) {
     return this.sendEmail(
       user.email,
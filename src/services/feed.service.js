@@ -0,0 +1,219 @@
+// src/services/feed.service.js
+const crypto = require('crypto');
+const Recipe = require('../models/recipe.model');
+const recipeService = require('./recipe.service');
+const cacheService = require('./cache.service');
+const { encodeCursor } = require('../utils/cursor');
+const { maskHiddenProfile } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each source's best recipe ranks this high; blending comes from the
+// weights being close, so a good match beats a weak follow
+const SOURCE_WEIGHTS = {
+  following: 1,
+  preferences: 0.9,
+  popular: 0.7
+};
+
+// Bonus per extra source a recipe came from
+const MULTI_SOURCE_BONUS = 0.1;
+
+const SOURCE_LIMITS = {
+  following: 60,
+  preferences: 100,
+  popular: 60
+};
+
+// Recipes from followed chefs count as new for this long
+const FOLLOWING_WINDOW_DAYS = 30;
+
+// Recently cooked recipes stay in the feed, further down
+const COOKED_RECENTLY_DAYS = 14;
+const COOKED_PENALTY = 0.3;
+
+// A feed is ranked once and paged from a snapshot, so pages don't shift
+// while the user scrolls
+const MAX_FEED_SIZE = 200;
+const FEED_SNAPSHOT_TTL = 3600;
+
+const RANKING_FIELDS = '_id author createdAt categories region ratings estimatedCost';
+const CARD_FIELDS = 'name slug description images totalTime difficulty region categories estimatedCost ratings premium author createdAt';
+
+const rating = recipe => (recipe.ratings && recipe.ratings.weighted) || 0;
+
+class FeedService {
+  // A page of the user's feed. Without a cursor a new snapshot is ranked;
+  // returns null when the cursor's snapshot has expired.
+  async getPage(user, { cursor, limit = 20, params = {} } = {}) {
+    let snapshot;
+    let offset = 0;
+    
+    if (cursor) {
+      const cached = await cacheService.get(this.snapshotKey(user, cursor.snapshot));
+      if (!cached) return null;
+      
+      snapshot = { id: cursor.snapshot, entries: JSON.parse(cached) };
+      offset = cursor.offset;
+    } else {
+      snapshot = { id: crypto.randomBytes(8).toString('hex'), entries: await this.rank(user, params) };
+      await cacheService.set(this.snapshotKey(user, snapshot.id), JSON.stringify(snapshot.entries), FEED_SNAPSHOT_TTL);
+    }
+    
+    const pageEntries = snapshot.entries.slice(offset, offset + limit);
+    const recipes = await Recipe.find({ _id: { $in: pageEntries.map(entry => entry.recipe) }, published: true })
+      .select(CARD_FIELDS)
+      .populate('author', 'name avatar')
+      .lean();
+    
+    recipes.forEach(recipe => maskHiddenProfile(recipe.author));
+    
+    const byId = new Map(recipes.map(recipe => [String(recipe._id), recipe]));
+    const nextOffset = offset + pageEntries.length;
+    
+    return {
+      // Recipes unpublished since the snapshot was taken are skipped
+      data: pageEntries
+        .filter(entry => byId.has(entry.recipe))
+        .map(entry => ({ ...byId.get(entry.recipe), feedReasons: entry.reasons })),
+      nextCursor: nextOffset < snapshot.entries.length
+        ? encodeCursor({ snapshot: snapshot.id, offset: nextOffset })
+        : null
+    };
+  }
+  
+  snapshotKey(user, snapshotId) {
+    return `feed:${user.id}:${snapshotId}`;
+  }
+  
+  // Blend recipes from followed chefs, recipes matching the user's
+  // preferences and budget, and popular recipes into one ranked list of
+  // { recipe, score, reasons }
+  async rank(user, params) {
+    const base = {
+      published: true,
+      ...(recipeService.getPreferenceQuery(params, user) || {})
+    };
+    
+    if (recipeService.getAccessTier(user) === 'free') {
+      base.premium = false;
+    }
+    
+    const [following, preferences, popular] = await Promise.all([
+      this.fromFollowing(user, base),
+      this.fromPreferences(user, base),
+      this.fromPopular(base)
+    ]);
+    
+    const cookedRecently = this.getRecentlyCooked(user);
+    const entries = new Map();
+    
+    const add = (source, scored) => {
+      scored.forEach(({ recipe, quality }) => {
+        const id = String(recipe._id);
+        const score = SOURCE_WEIGHTS[source] * quality;
+        const entry = entries.get(id);
+        
+        if (entry) {
+          entry.score = Math.max(entry.score, score) + MULTI_SOURCE_BONUS;
+          entry.reasons.push(source);
+        } else {
+          entries.set(id, { recipe: id, score, reasons: [source] });
+        }
+      });
+    };
+    
+    add('following', following);
+    add('preferences', preferences);
+    add('popular', popular);
+    
+    return [...entries.values()]
+      .map((entry) => {
+        if (!cookedRecently.has(entry.recipe)) return entry;
+        return { ...entry, score: entry.score * COOKED_PENALTY, reasons: [...entry.reasons, 'cooked_recently'] };
+      })
+      .map(entry => ({ ...entry, score: parseFloat(entry.score.toFixed(4)) }))
+      // Ties are broken by id so the order is the same every time
+      .sort((a, b) => b.score - a.score || (a.recipe < b.recipe ? -1 : 1))
+      .slice(0, MAX_FEED_SIZE);
+  }
+  
+  // New recipes from followed chefs, newest first
+  async fromFollowing(user, base) {
+    if (!user.following || user.following.length === 0) return [];
+    
+    const since = Date.now() - FOLLOWING_WINDOW_DAYS * DAY_MS;
+    const recipes = await Recipe.find({
+      ...base,
+      author: { $in: user.following },
+      createdAt: { $gte: new Date(since) }
+    })
+      .select(RANKING_FIELDS)
+      .sort('-createdAt')
+      .limit(SOURCE_LIMITS.following)
+      .lean();
+    
+    return recipes.map((recipe) => {
+      const freshness = (new Date(recipe.createdAt).getTime() - since) / (FOLLOWING_WINDOW_DAYS * DAY_MS);
+      return { recipe, quality: 0.5 + 0.5 * Math.max(0, Math.min(1, freshness)) };
+    });
+  }
+  
+  // Recipes in the user's favourite categories or regions that fit their
+  // budget per serving. Recipes without a price are left out.
+  async fromPreferences(user, base) {
+    const { favoriteCategories = [], preferredRegions = [], budgetPerMeal } = user.preferences || {};
+    
+    if (favoriteCategories.length === 0 && preferredRegions.length === 0) return [];
+    
+    const query = {
+      ...base,
+      $or: [
+        ...(favoriteCategories.length > 0 ? [{ categories: { $in: favoriteCategories } }] : []),
+        ...(preferredRegions.length > 0 ? [{ region: { $in: preferredRegions } }] : [])
+      ]
+    };
+    
+    if (budgetPerMeal) {
+      query['estimatedCost.pricePerServing'] = { $lte: budgetPerMeal };
+    }
+    
+    const recipes = await Recipe.find(query)
+      .select(RANKING_FIELDS)
+      .sort('-ratings.weighted -createdAt')
+      .limit(SOURCE_LIMITS.preferences)
+      .lean();
+    
+    return recipes.map((recipe) => {
+      const categoryMatch = (recipe.categories || []).some(category => favoriteCategories.includes(category));
+      const regionMatch = preferredRegions.includes(recipe.region);
+      const matches = Number(categoryMatch) + Number(regionMatch);
+      
+      return { recipe, quality: 0.4 + 0.15 * matches + 0.3 * (rating(recipe) / 5) };
+    });
+  }
+  
+  // Most viewed recipes, ranked by their position
+  async fromPopular(base) {
+    const recipes = await Recipe.find(base)
+      .select(RANKING_FIELDS)
+      .sort('-views -ratings.average')
+      .limit(SOURCE_LIMITS.popular)
+      .lean();
+    
+    return recipes.map((recipe, index) => ({
+      recipe,
+      quality: 0.3 + 0.7 * (1 - index / recipes.length)
+    }));
+  }
+  
+  getRecentlyCooked(user) {
+    const since = Date.now() - COOKED_RECENTLY_DAYS * DAY_MS;
+    
+    return new Set((user.cookingHistory || [])
+      .filter(entry => entry.recipe && new Date(entry.cookedAt).getTime() >= since)
+      .map(entry => String(entry.recipe)));
+  }
+}
+
+module.exports = new FeedService();
\ No newline at end of file
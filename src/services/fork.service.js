@@ -0,0 +1,125 @@
+// src/services/fork.service.js
+const Recipe = require('../models/recipe.model');
+const User = require('../models/user.model');
+const recipeService = require('./recipe.service');
+const revisionService = require('./revision.service');
+
+const CARD_FIELDS = 'name slug description images totalTime difficulty region categories ratings premium published author forkedFrom forkCount views';
+
+// Copied content that belongs to the original, not the fork
+const UNFORKED_FIELDS = ['source', 'attribution', 'seo'];
+
+const isSlugConflict = error => error.code === 11000 && !!(error.keyPattern && error.keyPattern.slug);
+
+class ForkService {
+  // Copy a recipe (with its author populated) into the user's drafts,
+  // linked to its parent. Premium recipes stay premium when forked.
+  async fork(parent, user) {
+    const content = revisionService.snapshot(parent);
+    UNFORKED_FIELDS.forEach(field => delete content[field]);
+    
+    const credit = parent.author ? ` by ${parent.author.name}` : '';
+    
+    const data = {
+      ...content,
+      author: user.id,
+      status: 'draft',
+      source: 'adapted',
+      attribution: `Adapted from "${parent.name.en}"${credit}`,
+      premium: parent.premium,
+      forkedFrom: parent._id,
+      lineage: [...parent.lineage, parent._id]
+    };
+    
+    let fork = new Recipe(data);
+    
+    try {
+      await fork.save();
+    } catch (error) {
+      // A concurrent fork of the same recipe got the slug first
+      if (!isSlugConflict(error)) throw error;
+      
+      fork = new Recipe(data);
+      fork.$locals.suffixSlug = true;
+      await fork.save();
+    }
+    
+    await revisionService.record(fork, user.id);
+    
+    await User.findByIdAndUpdate(user.id, { $push: { createdRecipes: fork._id } });
+    
+    // Being forked isn't an edit of the parent, so its updatedAt stays
+    await Recipe.updateOne(
+      { _id: parent._id },
+      { $inc: { forkCount: 1 } },
+      { timestamps: false }
+    );
+    
+    return fork;
+  }
+  
+  // Fields the fork's author may not change. A fork of a premium recipe
+  // carries its paid content, so it stays premium.
+  getLockedFields(recipe, user) {
+    return recipe.forkedFrom && recipe.premium && user.role !== 'admin' ? ['premium'] : [];
+  }
+  
+  // A deleted fork no longer counts towards its parent
+  async removeFork(recipe) {
+    if (!recipe.forkedFrom) return;
+    
+    await Recipe.updateOne(
+      { _id: recipe.forkedFrom, forkCount: { $gt: 0 } },
+      { $inc: { forkCount: -1 } },
+      { timestamps: false }
+    );
+  }
+  
+  // Ancestors from the first original down to the parent, and the most
+  // viewed recipes forked from this one at any depth. Ancestors the user
+  // can't see (deleted, unpublished) stay in the chain as placeholders.
+  async getLineage(recipe, user, { limit = 10 } = {}) {
+    const found = await Recipe.find({ _id: { $in: recipe.lineage } })
+      .select(CARD_FIELDS)
+      .populate('author', 'name avatar');
+    const byId = new Map(found.map(ancestor => [ancestor._id.toString(), ancestor]));
+    
+    const ancestors = recipe.lineage.map((id) => {
+      const ancestor = byId.get(id.toString());
+      return ancestor && ancestor.isVisibleTo(user) ? ancestor : { _id: id, unavailable: true };
+    });
+    
+    const query = { lineage: recipe._id, published: true };
+    
+    if (recipeService.getAccessTier(user) === 'free') {
+      query.premium = false;
+    }
+    
+    const [forks, totalForks] = await Promise.all([
+      Recipe.find(query)
+        .select(CARD_FIELDS)
+        .populate('author', 'name avatar')
+        .sort('-views -ratings.weighted')
+        .limit(limit),
+      Recipe.countDocuments(query)
+    ]);
+    
+    return { ancestors, forks, totalForks };
+  }
+  
+  // Images a recipe shares with no other recipe. Forks start with their
+  // parent's images, so deleting a recipe must leave shared ones in place.
+  async getUnsharedImages(recipe) {
+    const urls = (recipe.images || []).map(image => image.url);
+    if (urls.length === 0) return [];
+    
+    const shared = await Recipe.distinct('images.url', {
+      _id: { $ne: recipe._id },
+      'images.url': { $in: urls }
+    });
+    
+    return urls.filter(url => !shared.includes(url));
+  }
+}
+
+module.exports = new ForkService();
\ No newline at end of file
@@ -0,0 +1,337 @@
+// src/services/import.service.js
+const crypto = require('crypto');
+const Recipe = require('../models/recipe.model');
+const ImportJob = require('../models/importJob.model');
+const revisionService = require('./revision.service');
+const recipeService = require('./recipe.service');
+const logger = require('../utils/logger');
+const { parseCsvRecords } = require('../utils/csv');
+const { parseIngredientLine } = require('../utils/units');
+const { RECIPE_WORKFLOW_FIELDS, RECIPE_DERIVED_FIELDS } = require('../utils/constants');
+
+const IMPORT_BATCH_SIZE = 50;
+const MAX_IMPORT_ROWS = 5000;
+
+// CSV columns holding several values, one per line or separated by |
+const LIST_COLUMNS = [
+  'categories',
+  'mealType',
+  'occasionType',
+  'cookingMethod',
+  'tags',
+  'images',
+  'ingredients',
+  'instructions'
+];
+const BOOLEAN_COLUMNS = ['premium', 'featured'];
+
+// name_tw, description_ga, ... hold translations
+const TRANSLATED_COLUMN = /^(name|description)_(\w+)$/;
+
+const hash = value => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+const splitList = value => String(value)
+  .split(/\r?\n|\|/)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+const isDuplicateKeyError = error => error && error.code === 11000;
+
+class ImportService {
+  constructor() {
+    this.maxRows = MAX_IMPORT_ROWS;
+  }
+  
+  // Rows of a CSV export or a JSON array of recipes ({ recipes: [...] } also
+  // works). Throws when the content can't be read at all.
+  parse(content, format) {
+    if (format === 'csv') {
+      return parseCsvRecords(content).map(record => this.fromCsvRecord(record));
+    }
+    
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const rows = Array.isArray(data) ? data : data && data.recipes;
+    
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON imports must be an array of recipes');
+    }
+    
+    return rows;
+  }
+  
+  // Turn a spreadsheet row into the shape of a JSON import row
+  fromCsvRecord(record) {
+    return Object.entries(record).reduce((row, [column, value]) => {
+      if (value === '') return row;
+      
+      const translated = TRANSLATED_COLUMN.exec(column);
+      
+      if (translated) {
+        const [, field, language] = translated;
+        row[field] = { ...(row[field] || {}), [language]: value };
+      } else if (column === 'name' || column === 'description') {
+        row[column] = { ...(row[column] || {}), en: value };
+      } else if (LIST_COLUMNS.includes(column)) {
+        row[column] = splitList(value);
+      } else if (BOOLEAN_COLUMNS.includes(column)) {
+        row[column] = ['true', 'yes', '1'].includes(value.toLowerCase());
+      } else {
+        row[column] = value;
+      }
+      
+      return row;
+    }, {});
+  }
+  
+  // Map an import row to a recipe body. Ingredients and instructions may be
+  // written as text ("2 cup rice", "Wash the rice").
+  toRecipe(row, issues) {
+    const { ref, importRef, ...fields } = row;
+    const recipe = { ...fields };
+    
+    [...RECIPE_WORKFLOW_FIELDS, ...RECIPE_DERIVED_FIELDS].forEach(field => delete recipe[field]);
+    
+    if (typeof recipe.name === 'string') {
+      recipe.name = { en: recipe.name };
+    }
+    
+    if (typeof recipe.description === 'string') {
+      recipe.description = { en: recipe.description };
+    }
+    
+    recipe.ingredients = (recipe.ingredients || []).map((ingredient, index) => {
+      if (typeof ingredient !== 'string') return ingredient;
+      
+      const parsed = parseIngredientLine(ingredient);
+      
+      if (parsed.amount === null) {
+        issues.push({ field: `ingredients.${index}`, message: `No quantity in "${ingredient}"` });
+      } else if (!parsed.unit) {
+        issues.push({ field: `ingredients.${index}`, message: `No unit in "${ingredient}"` });
+      }
+      
+      return {
+        item: parsed.item,
+        amount: parsed.amount === null ? undefined : parsed.amount,
+        unit: parsed.unit || undefined,
+        notes: parsed.notes
+      };
+    });
+    
+    recipe.instructions = (recipe.instructions || []).map((instruction, index) => (
+      typeof instruction === 'string'
+        ? { step: index + 1, description: instruction }
+        : instruction
+    ));
+    
+    recipe.images = (recipe.images || []).map((image, index) => (
+      typeof image === 'string' ? { url: image, isMain: index === 0 } : image
+    ));
+    
+    return { recipe, ref: ref || importRef || hash(recipe) };
+  }
+  
+  // Schema errors of a recipe, with the allowed values for enum fields
+  validate(doc) {
+    const error = doc.validateSync();
+    if (!error) return [];
+    
+    // Keys are full paths such as ingredients.2.unit
+    return Object.entries(error.errors).map(([field, fieldError]) => {
+      const allowed = fieldError.kind === 'enum' && fieldError.properties.enumValues;
+      
+      return {
+        field,
+        message: allowed
+          ? `"${fieldError.value}" is not allowed, use one of: ${allowed.join(', ')}`
+          : fieldError.message
+      };
+    });
+  }
+  
+  // Start the job for a key, or take over its failed run. The failed job
+  // is claimed atomically, so of two retries only one re-runs it. Throws
+  // a duplicate key error when a run with the key is in progress or done.
+  async startJob(key, { format, author, totals }) {
+    const retried = await ImportJob.findOneAndUpdate(
+      { key, status: 'failed' },
+      {
+        $set: { status: 'processing', format, createdBy: author, totals, rows: [] },
+        $unset: { error: 1, completedAt: 1 }
+      },
+      { new: true }
+    );
+    
+    return retried || ImportJob.create({ key, format, createdBy: author, totals });
+  }
+  
+  // Validate every row, then insert the valid recipes in batches unless this
+  // is a dry run. A job's key makes it idempotent: running a key again
+  // returns the job of the run in progress or completed, and rows already
+  // imported are skipped. A failed run is run again.
+  async run(rows, { format, key, dryRun = false, author, draft = false }) {
+    if (rows.length > this.maxRows) {
+      throw new Error(`Imports are limited to ${this.maxRows} rows`);
+    }
+    
+    const jobKey = key || hash(rows);
+    
+    if (!dryRun) {
+      const existing = await ImportJob.findOne({ key: jobKey });
+      if (existing && existing.status !== 'failed') {
+        return { job: existing, replayed: true };
+      }
+    }
+    
+    const results = this.prepare(rows, { author, draft });
+    await this.markImported(results);
+    
+    const totals = this.countResults(results);
+    
+    if (dryRun) {
+      return {
+        job: { key: jobKey, format, status: 'completed', totals, rows: results.map(this.toReport) },
+        dryRun: true
+      };
+    }
+    
+    let job;
+    
+    try {
+      job = await this.startJob(jobKey, { format, author, totals });
+    } catch (error) {
+      // Another run with this key started first
+      if (isDuplicateKeyError(error)) {
+        return { job: await ImportJob.findOne({ key: jobKey }), replayed: true };
+      }
+      throw error;
+    }
+    
+    try {
+      const pending = results.filter(result => result.status === 'valid');
+      
+      for (let start = 0; start < pending.length; start += IMPORT_BATCH_SIZE) {
+        await this.insertBatch(pending.slice(start, start + IMPORT_BATCH_SIZE), author);
+      }
+      
+      job.totals = this.countResults(results);
+      job.rows = results.map(this.toReport);
+      job.status = 'completed';
+      job.completedAt = Date.now();
+      await job.save();
+    } catch (error) {
+      logger.error(`Recipe import ${jobKey} failed: ${error.message}`);
+      
+      job.totals = this.countResults(results);
+      job.rows = results.map(this.toReport);
+      job.status = 'failed';
+      job.error = error.message;
+      await job.save();
+      
+      throw error;
+    }
+    
+    const inserted = results.filter(result => result.status === 'inserted').map(result => result.recipe);
+    
+    if (inserted.length > 0) {
+      await recipeService.invalidateRecipes(inserted, { membership: true });
+    }
+    
+    return { job };
+  }
+  
+  // Build and validate a recipe document for every row
+  prepare(rows, { author, draft }) {
+    const seen = new Set();
+    
+    return rows.map((row, index) => {
+      const issues = [];
+      
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { row: index + 1, status: 'invalid', issues: [{ field: 'row', message: 'Not a recipe object' }] };
+      }
+      
+      const { recipe, ref } = this.toRecipe(row, issues);
+      
+      const doc = new Recipe({
+        ...recipe,
+        author,
+        importRef: ref,
+        status: draft ? 'draft' : 'published'
+      });
+      
+      issues.push(...this.validate(doc));
+      
+      if (issues.length > 0) {
+        return { row: index + 1, ref, status: 'invalid', issues };
+      }
+      
+      if (seen.has(ref)) {
+        return { row: index + 1, ref, status: 'duplicate', issues: [{ field: 'ref', message: 'Repeats an earlier row' }] };
+      }
+      
+      seen.add(ref);
+      
+      return { row: index + 1, ref, status: 'valid', doc, issues };
+    });
+  }
+  
+  // Rows whose recipe an earlier import already created
+  async markImported(results) {
+    const refs = results.filter(result => result.status === 'valid').map(result => result.ref);
+    if (refs.length === 0) return;
+    
+    const existing = await Recipe.find({ importRef: { $in: refs } }).select('importRef');
+    const imported = new Map(existing.map(recipe => [recipe.importRef, recipe._id]));
+    
+    results.forEach((result) => {
+      if (result.status === 'valid' && imported.has(result.ref)) {
+        result.status = 'duplicate';
+        result.recipe = imported.get(result.ref);
+        result.doc = undefined;
+      }
+    });
+  }
+  
+  // Saved one by one so the recipe save hooks (slug, dietary flags,
+  // nutrition) run for every recipe
+  async insertBatch(batch, author) {
+    await Promise.all(batch.map(async (result) => {
+      try {
+        await result.doc.save();
+        await revisionService.record(result.doc, author);
+        
+        result.status = 'inserted';
+        result.recipe = result.doc._id;
+      } catch (error) {
+        if (isDuplicateKeyError(error) && error.keyPattern && error.keyPattern.importRef) {
+          result.status = 'duplicate';
+        } else {
+          result.status = 'failed';
+          result.issues.push({ field: 'row', message: error.message });
+        }
+      }
+      
+      result.doc = undefined;
+    }));
+  }
+  
+  countResults(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    
+    return {
+      rows: results.length,
+      valid: results.length - count('invalid'),
+      invalid: count('invalid'),
+      inserted: count('inserted'),
+      duplicates: count('duplicate'),
+      failed: count('failed')
+    };
+  }
+  
+  toReport({ row, ref, status, recipe, issues }) {
+    return { row, ref, status, recipe, issues };
+  }
+}
+
+module.exports = new ImportService();
\ No newline at end of file
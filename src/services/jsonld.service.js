@@ -0,0 +1,493 @@
+// src/services/jsonld.service.js
+const Recipe = require('../models/recipe.model');
+const { localizeRecipe, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { toIsoDuration, parseIsoDuration } = require('../utils/duration');
+const {
+  UNITS,
+  convert,
+  parseIngredientLine,
+  roundKitchenQuantity
+} = require('../utils/units');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+// Singular and plural wording of our units in ingredient lines
+const UNIT_LABELS = {
+  cup: ['cup', 'cups'],
+  bunch: ['bunch', 'bunches'],
+  tuber: ['tuber', 'tubers'],
+  olonka: ['olonka', 'olonkas'],
+  american_tin: ['American tin', 'American tins'],
+  margarine_tin: ['margarine tin', 'margarine tins']
+};
+
+// schema.org NutritionInformation property -> our field and unit
+const NUTRITION_PROPERTIES = {
+  calories: { field: 'calories', unit: 'kcal' },
+  proteinContent: { field: 'protein', unit: 'g' },
+  carbohydrateContent: { field: 'carbs', unit: 'g' },
+  fatContent: { field: 'fat', unit: 'g' },
+  fiberContent: { field: 'fiber', unit: 'g' },
+  sugarContent: { field: 'sugar', unit: 'g' },
+  sodiumContent: { field: 'sodium', unit: 'mg' },
+  cholesterolContent: { field: 'cholesterol', unit: 'mg' }
+};
+
+// Factors to our nutrition units from units found in imported values
+const NUTRITION_UNIT_FACTORS = {
+  kcal: { kcal: 1, cal: 1, calorie: 1, calories: 1, kj: 1 / 4.184 },
+  g: { g: 1, gram: 1, grams: 1, mg: 0.001 },
+  mg: { mg: 1, g: 1000, gram: 1000, grams: 1000 }
+};
+
+// Top-level properties the importer reads or deliberately ignores
+const HANDLED_PROPERTIES = [
+  '@context', '@type', '@id', 'name', 'description', 'recipeIngredient',
+  'ingredients', 'recipeInstructions', 'prepTime', 'cookTime', 'totalTime',
+  'recipeYield', 'image', 'nutrition', 'recipeCategory', 'recipeCuisine',
+  'keywords', 'author', 'url', 'isBasedOn', 'video', 'aggregateRating',
+  'datePublished', 'dateModified', 'inLanguage'
+];
+
+const asArray = value => (value === undefined || value === null ? [] : [].concat(value));
+
+// Plain text of a JSON-LD value, without markup
+const toText = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  const raw = first && typeof first === 'object' ? first['@value'] || first.name || first.text : first;
+  
+  return raw === undefined || raw === null
+    ? ''
+    : String(raw).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+const isRecipeNode = node => !!node
+  && typeof node === 'object'
+  && asArray(node['@type']).some(type => String(type).replace(/^schema:/, '') === 'Recipe');
+
+const formatAmount = amount => parseFloat(Number(amount).toFixed(2)).toString();
+
+class JsonLdService {
+  // schema.org Recipe for a recipe, in one language
+  exportRecipe(recipe, language = DEFAULT_LANGUAGE) {
+    const data = localizeRecipe(recipe, language);
+    const author = data.author && data.author.name;
+    
+    const jsonLd = {
+      '@context': SCHEMA_CONTEXT,
+      '@type': 'Recipe',
+      name: data.name,
+      description: data.description,
+      inLanguage: language,
+      url: `${process.env.CLIENT_URL}/recipes/${data.slug}`,
+      image: (data.images || [])
+        .slice()
+        .sort((a, b) => Number(b.isMain) - Number(a.isMain))
+        .map(image => image.url),
+      author: author ? { '@type': 'Person', name: author } : undefined,
+      datePublished: data.publishedAt ? new Date(data.publishedAt).toISOString() : undefined,
+      dateModified: data.updatedAt ? new Date(data.updatedAt).toISOString() : undefined,
+      prepTime: toIsoDuration(data.prepTime),
+      cookTime: toIsoDuration(data.cookTime),
+      totalTime: toIsoDuration(data.totalTime),
+      recipeYield: data.servings ? `${data.servings} servings` : undefined,
+      recipeCategory: data.categories && data.categories.length > 0 ? data.categories : undefined,
+      recipeCuisine: data.cuisineType,
+      keywords: data.tags && data.tags.length > 0 ? data.tags.join(', ') : undefined,
+      recipeIngredient: (data.ingredients || []).map(ingredient => this.formatIngredient(ingredient)),
+      recipeInstructions: (data.instructions || [])
+        .slice()
+        .sort((a, b) => a.step - b.step)
+        .map(instruction => ({
+          '@type': 'HowToStep',
+          position: instruction.step,
+          text: instruction.description,
+          image: instruction.imageUrl
+        })),
+      nutrition: this.exportNutrition(data.nutrition),
+      aggregateRating: data.ratings && data.ratings.count > 0
+        ? {
+          '@type': 'AggregateRating',
+          ratingValue: data.ratings.average,
+          ratingCount: data.ratings.count,
+          bestRating: 5,
+          worstRating: 1
+        }
+        : undefined,
+      estimatedCost: data.estimatedCost && data.estimatedCost.amount
+        ? {
+          '@type': 'MonetaryAmount',
+          currency: data.estimatedCost.currency,
+          value: data.estimatedCost.amount
+        }
+        : undefined,
+      video: data.videoUrl
+        ? { '@type': 'VideoObject', name: data.name, contentUrl: data.videoUrl }
+        : undefined
+    };
+    
+    // Leave out empty properties rather than publishing nulls
+    return JSON.parse(JSON.stringify(jsonLd));
+  }
+  
+  // "1 1/2 cups rice, washed (optional)"
+  formatIngredient(ingredient) {
+    const labels = UNIT_LABELS[ingredient.unit];
+    let unit = ingredient.unit;
+    
+    if (ingredient.unit === 'piece') {
+      unit = '';
+    } else if (labels) {
+      unit = ingredient.amount === 1 ? labels[0] : labels[1];
+    }
+    
+    const line = [formatAmount(ingredient.amount), unit, ingredient.item].filter(Boolean).join(' ');
+    const notes = ingredient.notes ? `, ${ingredient.notes}` : '';
+    
+    return `${line}${notes}${ingredient.optional ? ' (optional)' : ''}`;
+  }
+  
+  exportNutrition(nutrition) {
+    if (!nutrition) return undefined;
+    
+    const properties = Object.keys(NUTRITION_PROPERTIES).reduce((values, property) => {
+      const { field, unit } = NUTRITION_PROPERTIES[property];
+      
+      if (typeof nutrition[field] === 'number') {
+        values[property] = field === 'calories'
+          ? `${nutrition[field]} calories`
+          : `${nutrition[field]} ${unit}`;
+      }
+      
+      return values;
+    }, {});
+    
+    if (Object.keys(properties).length === 0) return undefined;
+    
+    return {
+      '@type': 'NutritionInformation',
+      servingSize: nutrition.servingSize,
+      ...properties
+    };
+  }
+  
+  // Map schema.org Recipe JSON-LD to a recipe body. Returns the body with
+  // a report: errors stop the import, warnings list what was guessed or
+  // left out.
+  importRecipe(input) {
+    const errors = [];
+    const warnings = [];
+    const warn = (field, message) => warnings.push({ field, message });
+    const fail = (field, message) => errors.push({ field, message });
+    
+    const node = this.findRecipeNode(input);
+    
+    if (!node) {
+      fail('@type', 'No schema.org Recipe found in the document');
+      return { data: null, report: { errors, warnings } };
+    }
+    
+    const name = toText(node.name);
+    let description = toText(node.description);
+    
+    if (!name) {
+      fail('name', 'Recipe name is required');
+    }
+    
+    if (!description && name) {
+      warn('description', 'No description, using the recipe name');
+      description = name;
+    }
+    
+    if (description.length > 500) {
+      warn('description', 'Description shortened to 500 characters');
+      description = description.slice(0, 500);
+    }
+    
+    const ingredients = this.importIngredients(asArray(node.recipeIngredient || node.ingredients), warn);
+    const instructions = this.importInstructions(node.recipeInstructions, warn);
+    
+    if (ingredients.length === 0) {
+      fail('recipeIngredient', 'No ingredients could be mapped');
+    }
+    
+    if (instructions.length === 0) {
+      fail('recipeInstructions', 'No instructions could be mapped');
+    }
+    
+    const data = {
+      name: { en: name.slice(0, 100) },
+      description: { en: description },
+      ingredients,
+      instructions,
+      ...this.importTimes(node, warn),
+      servings: this.importServings(node.recipeYield, warn),
+      // schema.org has no difficulty
+      difficulty: 'medium',
+      ...this.importClassification(node, warn),
+      images: asArray(node.image)
+        .map(image => (typeof image === 'object' ? image.url || image.contentUrl : image))
+        .filter(url => typeof url === 'string' && url)
+        .map((url, index) => ({ url, isMain: index === 0 })),
+      nutrition: this.importNutrition(node.nutrition, warn),
+      videoUrl: asArray(node.video).map(video => video && (video.contentUrl || video.embedUrl))[0],
+      source: 'adapted',
+      attribution: this.importAttribution(node)
+    };
+    
+    if (name.length > 100) {
+      warn('name', 'Name shortened to 100 characters');
+    }
+    
+    warn('difficulty', 'schema.org has no difficulty, set to medium');
+    
+    if (node.aggregateRating) {
+      warn('aggregateRating', 'Ratings are not imported');
+    }
+    
+    const unmapped = Object.keys(node).filter(key => !HANDLED_PROPERTIES.includes(key));
+    if (unmapped.length > 0) {
+      warn('*', `Properties not imported: ${unmapped.join(', ')}`);
+    }
+    
+    return { data: errors.length > 0 ? null : JSON.parse(JSON.stringify(data)), report: { errors, warnings } };
+  }
+  
+  // The Recipe node of a document, an array of nodes or an @graph
+  findRecipeNode(input) {
+    if (Array.isArray(input)) {
+      return input.map(item => this.findRecipeNode(item)).find(Boolean) || null;
+    }
+    
+    if (!input || typeof input !== 'object') {
+      return null;
+    }
+    
+    if (isRecipeNode(input)) {
+      return input;
+    }
+    
+    return input['@graph'] ? this.findRecipeNode(input['@graph']) : null;
+  }
+  
+  importIngredients(lines, warn) {
+    const allowedUnits = Recipe.schema.path('ingredients').schema.path('unit').enumValues;
+    
+    return lines.reduce((ingredients, line, index) => {
+      const field = `recipeIngredient[${index}]`;
+      const text = toText(line);
+      const parsed = parseIngredientLine(text);
+      
+      if (parsed.amount === null || !parsed.item) {
+        warn(field, `No quantity in "${text}", ingredient skipped`);
+        return ingredients;
+      }
+      
+      if (parsed.range) {
+        warn(field, `"${text}" gives a range, used the lower amount`);
+      }
+      
+      let { amount, unit } = parsed;
+      
+      if (!unit) {
+        warn(field, `No unit in "${text}", counted as pieces`);
+        unit = 'piece';
+      } else if (!allowedUnits.includes(unit)) {
+        const dimension = UNITS[unit].dimension;
+        const target = { mass: 'g', volume: 'ml' }[dimension];
+        
+        if (!target) {
+          warn(field, `Unit "${unit}" in "${text}" is not supported, ingredient skipped`);
+          return ingredients;
+        }
+        
+        amount = roundKitchenQuantity(convert(amount, unit, target), target);
+        warn(field, `Converted ${parsed.amount} ${unit} to ${amount} ${target}`);
+        unit = target;
+      }
+      
+      ingredients.push({
+        item: parsed.item,
+        amount,
+        unit,
+        notes: parsed.notes
+      });
+      
+      return ingredients;
+    }, []);
+  }
+  
+  // Instructions arrive as text, a list of strings, HowToSteps or
+  // HowToSections of steps
+  importInstructions(value, warn) {
+    const steps = [];
+    
+    const collect = (entry) => {
+      if (!entry) return;
+      
+      if (typeof entry === 'string') {
+        entry
+          .split(/\n+/)
+          .map(line => toText(line).replace(/^(?:step\s*)?\d+[.):]\s*/i, ''))
+          .filter(Boolean)
+          .forEach(line => steps.push(line));
+        return;
+      }
+      
+      if (Array.isArray(entry)) {
+        entry.forEach(collect);
+        return;
+      }
+      
+      if (asArray(entry['@type']).includes('HowToSection')) {
+        if (entry.name) {
+          warn('recipeInstructions', `Section heading "${toText(entry.name)}" dropped`);
+        }
+        collect(entry.itemListElement);
+        return;
+      }
+      
+      const text = toText(entry.text || entry.name);
+      if (text) steps.push(text);
+    };
+    
+    collect(value);
+    
+    return steps.map((description, index) => ({ step: index + 1, description }));
+  }
+  
+  importTimes(node, warn) {
+    const read = (property) => {
+      if (!node[property]) return null;
+      
+      const minutes = parseIsoDuration(toText(node[property]));
+      if (minutes === null) {
+        warn(property, `"${toText(node[property])}" is not an ISO 8601 duration`);
+      }
+      return minutes;
+    };
+    
+    let prepTime = read('prepTime');
+    let cookTime = read('cookTime');
+    const totalTime = read('totalTime');
+    
+    if (prepTime === null && cookTime === null && totalTime !== null) {
+      warn('cookTime', 'Only totalTime given, counted as cooking time');
+      return { prepTime: 0, cookTime: totalTime };
+    }
+    
+    if (prepTime === null) {
+      prepTime = totalTime !== null && cookTime !== null ? Math.max(totalTime - cookTime, 0) : 0;
+      warn('prepTime', `No prepTime, set to ${prepTime} minutes`);
+    }
+    
+    if (cookTime === null) {
+      cookTime = totalTime !== null ? Math.max(totalTime - prepTime, 0) : 0;
+      warn('cookTime', `No cookTime, set to ${cookTime} minutes`);
+    }
+    
+    return { prepTime, cookTime };
+  }
+  
+  // recipeYield may be 4, "4 servings", "Serves 4-6" or a list of those
+  importServings(value, warn) {
+    const servings = asArray(value)
+      .map(entry => parseInt(String(entry).match(/\d+/)))
+      .find(number => number > 0);
+    
+    if (!servings) {
+      warn('recipeYield', 'No serving count, set to 4');
+      return 4;
+    }
+    
+    return servings;
+  }
+  
+  importClassification(node, warn) {
+    const categoryOptions = Recipe.schema.path('categories').caster.enumValues;
+    const cuisineOptions = Recipe.schema.path('cuisineType').enumValues;
+    const split = value => asArray(value)
+      .flatMap(entry => toText(entry).split(','))
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+    
+    const categories = [];
+    const tags = split(node.keywords);
+    
+    split(node.recipeCategory).forEach((category) => {
+      if (categoryOptions.includes(category)) {
+        categories.push(category);
+      } else {
+        warn('recipeCategory', `"${category}" is not one of our categories, kept as a tag`);
+        tags.push(category);
+      }
+    });
+    
+    const [cuisine] = split(node.recipeCuisine);
+    let cuisineType;
+    
+    if (cuisine) {
+      cuisineType = cuisineOptions.find(option => cuisine.includes(option));
+      
+      if (!cuisineType) {
+        warn('recipeCuisine', `"${cuisine}" is not one of our cuisines, kept as a tag`);
+        tags.push(cuisine);
+      }
+    }
+    
+    return {
+      categories: [...new Set(categories)],
+      cuisineType,
+      tags: [...new Set(tags)]
+    };
+  }
+  
+  importNutrition(value, warn) {
+    const nutrition = Array.isArray(value) ? value[0] : value;
+    if (!nutrition || typeof nutrition !== 'object') return undefined;
+    
+    const result = {};
+    
+    Object.keys(nutrition).forEach((property) => {
+      if (['@type', 'servingSize'].includes(property)) return;
+      
+      const target = NUTRITION_PROPERTIES[property];
+      const field = `nutrition.${property}`;
+      
+      if (!target) {
+        warn(field, 'Not imported');
+        return;
+      }
+      
+      const match = /(\d+(?:\.\d+)?)\s*([a-z]*)/i.exec(toText(nutrition[property]));
+      const factors = NUTRITION_UNIT_FACTORS[target.unit];
+      const unit = match && match[2] ? match[2].toLowerCase() : target.unit;
+      const factor = factors[unit] || (unit === target.unit ? 1 : null);
+      
+      if (!match || factor === null) {
+        warn(field, `Could not read "${toText(nutrition[property])}"`);
+        return;
+      }
+      
+      result[target.field] = parseFloat((parseFloat(match[1]) * factor).toFixed(1));
+    });
+    
+    if (nutrition.servingSize) {
+      result.servingSize = toText(nutrition.servingSize);
+    }
+    
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  
+  // "Ama Mensah (https://example.com/recipe)"
+  importAttribution(node) {
+    const authors = asArray(node.author).map(toText).filter(Boolean).join(', ');
+    const link = toText(node.isBasedOn) || toText(node.url);
+    
+    if (!authors && !link) return undefined;
+    
+    return link ? `${authors || 'Source'} (${link})`.trim() : authors;
+  }
+}
+
+module.exports = new JsonLdService();
\ No newline at end of file
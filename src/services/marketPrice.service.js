@@ -2,6 +2,8 @@
 const axios = require('axios');
 const cacheService = require('./cache.service');
 const logger = require('../utils/logger');
+const { normalizeUnit, convertIngredient } = require('../utils/units');
+const { getIngredientProfile } = require('../utils/ingredients');
 
 class MarketPriceService {
   constructor() {
@@ -72,48 +74,73 @@ class MarketPriceService {
   async calculateRecipeCost(ingredients, region = 'greater_accra') {
     const prices = await this.getCurrentPrices(region);
     let totalCost = 0;
+    const unpriced = [];
     
     const costedIngredients = ingredients.map(ingredient => {
-      const marketPrice = prices.items.find(
-        item => item.name === ingredient.item.toLowerCase().replace(/\s+/g, '_')
-      );
+      const profile = getIngredientProfile(ingredient.item);
+      const marketKey = profile ? profile.key : ingredient.item.toLowerCase().replace(/\s+/g, '_');
+      const marketPrice = prices.items.find(item => item.name === marketKey);
       
-      if (marketPrice) {
-        const cost = this.calculateIngredientCost(
-          ingredient.amount,
-          ingredient.unit,
-          marketPrice
-        );
-        totalCost += cost;
+      const result = marketPrice
+        ? this.calculateIngredientCost(ingredient.amount, ingredient.unit, marketPrice, profile)
+        : { priceable: false, reason: 'no_market_price' };
+      
+      if (!result.priceable) {
+        unpriced.push({
+          item: ingredient.item,
+          amount: ingredient.amount,
+          unit: ingredient.unit,
+          reason: result.reason
+        });
         
-        return {
-          ...ingredient,
-          estimatedPrice: cost
-        };
+        return ingredient;
       }
       
-      return ingredient;
+      totalCost += result.cost;
+      
+      return {
+        ...ingredient,
+        estimatedPrice: result.cost
+      };
     });
     
     return {
       ingredients: costedIngredients,
-      totalCost,
+      totalCost: parseFloat(totalCost.toFixed(2)),
+      complete: unpriced.length === 0,
+      unpriced,
       priceDate: prices.date
     };
   }
   
-  calculateIngredientCost(amount, unit, marketPrice) {
-    // Convert units if necessary
-    const conversionRates = {
-      'g_to_kg': 0.001,
-      'ml_to_l': 0.001,
-      'tsp_to_tbsp': 0.333,
-      'tbsp_to_cup': 0.0625,
-      'cup_to_l': 0.237
-    };
+  // Price an amount of an ingredient against the unit the market quotes.
+  // Returns { priceable: false, reason } instead of guessing when the
+  // recipe unit cannot be converted to the market unit.
+  calculateIngredientCost(amount, unit, marketPrice, profile = null) {
+    if (typeof amount !== 'number' || amount < 0) {
+      return { priceable: false, reason: 'invalid_amount' };
+    }
     
-    // Simple calculation - would be more complex in production
-    return amount * marketPrice.price;
+    if (!normalizeUnit(unit)) {
+      return { priceable: false, reason: 'unknown_recipe_unit' };
+    }
+    
+    if (!normalizeUnit(marketPrice.unit)) {
+      return { priceable: false, reason: 'unknown_market_unit' };
+    }
+    
+    const quantity = convertIngredient(amount, unit, marketPrice.unit, profile);
+    
+    if (quantity === null) {
+      return { priceable: false, reason: 'no_conversion' };
+    }
+    
+    return {
+      priceable: true,
+      cost: parseFloat((quantity * marketPrice.price).toFixed(2)),
+      quantity,
+      marketUnit: marketPrice.unit
+    };
   }
 }
 
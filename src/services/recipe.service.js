@@ -0,0 +1,570 @@
+// src/services/recipe.service.js
+const Recipe = require('../models/recipe.model');
+const marketPriceService = require('./marketPrice.service');
+const cacheService = require('./cache.service');
+const units = require('../utils/units');
+const { getSearchTerms, createIngredientMatcher } = require('../utils/ingredients');
+const { classifyIngredients, buildPreferenceQuery, preferenceFingerprint } = require('../utils/dietary');
+const { NUTRITION_FIELDS } = require('../utils/nutrition');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { ALL_LANGUAGES } = require('../utils/i18n');
+const { escapeRegex, maskHiddenProfile } = require('../utils/helpers');
+
+// Lower bounds of the facet buckets
+const COST_BUCKETS = [0, 20, 50, 100, 200]; // GHS
+const TIME_BUCKETS = [0, 15, 30, 60, 120]; // minutes
+
+// Upper bound for the last bucket and marker for recipes without a value
+const BUCKET_CEILING = Number.MAX_SAFE_INTEGER;
+const UNKNOWN_BUCKET = -1;
+
+// Sorts of the recipe list -> field paged on. Every sort breaks ties by
+// _id, so cursors always point at one position.
+const LIST_SORTS = {
+  createdAt: 'createdAt',
+  'ratings.average': 'ratings.average',
+  'ratings.weighted': 'ratings.weighted',
+  views: 'views',
+  estimatedCost: 'estimatedCost.amount'
+};
+
+// Cached recipe responses, each tagged recipes:<collection>. Facets are
+// counts over all recipes rather than a list of them.
+const RECIPE_COLLECTIONS = ['list', 'facets', 'pantry', 'featured', 'popular', 'trending'];
+
+// Dates in cursors, as Date#toJSON writes them
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z$/;
+
+// Recipes considered per pantry search, best rated first
+const MAX_PANTRY_CANDIDATES = 500;
+
+// Recipes updated per write when backfilling the dietary classification
+const CLASSIFY_BATCH_SIZE = 500;
+
+const sameValues = (a, b) => Array.isArray(a) && a.length === b.length && a.every((value, i) => value === b[i]);
+
+class RecipeService {
+  getAccessTier(user) {
+    return !user || user.subscription.status === 'free' ? 'free' : 'premium';
+  }
+  
+  // Logged-in users only see recipes that suit their allergies and diets
+  // unless they opt out with ?respectPreferences=false
+  getPreferenceQuery(params, user) {
+    if (!user || params.respectPreferences === 'false') {
+      return null;
+    }
+    
+    return buildPreferenceQuery(user.preferences);
+  }
+  
+  // Part of the cache key for results filtered by getPreferenceQuery
+  getPreferenceKey(params, user) {
+    return this.getPreferenceQuery(params, user) ? preferenceFingerprint(user.preferences) : 'none';
+  }
+  
+  // Cache key of a collection response. Everything that changes what the
+  // user sees is in it: access tier, language, allergy and diet
+  // restrictions, and the query.
+  getCacheKey(collection, { user, language, params = {} }) {
+    return cacheService.buildKey(`recipes:${collection}`, [
+      this.getAccessTier(user),
+      language || ALL_LANGUAGES,
+      this.getPreferenceKey(params, user)
+    ], params);
+  }
+  
+  // The collection's tag plus one per recipe in the response
+  getCacheTags(collection, recipes = []) {
+    return [`recipes:${collection}`, ...recipes.map(recipe => `recipe:${recipe._id}`)];
+  }
+  
+  // Evict cached responses after recipes change. Responses holding the
+  // recipes go, and facet counts. When recipes were added, removed or
+  // (un)published every collection could change, so all of them go.
+  // An edit that makes a recipe newly match a list shows there once the
+  // list's entry expires.
+  async invalidateRecipes(recipeIds, { membership = false } = {}) {
+    const tags = [].concat(recipeIds).map(id => `recipe:${id}`);
+    
+    if (membership) {
+      tags.push(...RECIPE_COLLECTIONS.map(collection => `recipes:${collection}`));
+    } else {
+      tags.push('recipes:facets');
+    }
+    
+    return cacheService.invalidateTags(tags);
+  }
+  
+  // Filters shared by the recipe list and facet endpoints. Filters that
+  // narrow a facet are kept apart so that facet's counts can ignore them.
+  buildFilters(params, user) {
+    const base = { published: true };
+    const facets = {};
+    
+    if (params.search) {
+      base.$text = { $search: params.search };
+    }
+    
+    if (params.category) {
+      facets.categories = { categories: params.category };
+    }
+    
+    if (params.region) {
+      facets.region = { region: params.region };
+    }
+    
+    if (params.difficulty) {
+      facets.difficulty = { difficulty: params.difficulty };
+    }
+    
+    if (params.maxCost) {
+      facets.cost = { 'estimatedCost.amount': { $lte: parseFloat(params.maxCost) } };
+    }
+    
+    if (params.maxTime) {
+      facets.time = { totalTime: { $lte: parseInt(params.maxTime) } };
+    }
+    
+    if (params.dietary) {
+      base.dietaryFlags = { $all: params.dietary.split(',') };
+    }
+    
+    const restrictions = this.getPreferenceQuery(params, user);
+    if (restrictions) {
+      base.$and = [restrictions];
+    }
+    
+    // Add premium filter for free users
+    if (this.getAccessTier(user) === 'free') {
+      base.premium = false;
+    }
+    
+    return { base, facets };
+  }
+  
+  buildRecipeQuery(params, user) {
+    const { base, facets } = this.buildFilters(params, user);
+    return Object.assign({}, base, ...Object.values(facets));
+  }
+  
+  // "-ratings.average" -> { key, field, direction: -1 }, or null for a
+  // sort the list doesn't support
+  parseSort(sort = '-createdAt') {
+    const key = String(sort).replace(/^[-+]/, '');
+    
+    if (!LIST_SORTS[key]) {
+      return null;
+    }
+    
+    return {
+      key,
+      field: LIST_SORTS[key],
+      direction: String(sort).startsWith('-') ? -1 : 1
+    };
+  }
+  
+  getListSorts() {
+    return Object.keys(LIST_SORTS);
+  }
+  
+  // Cursor at a recipe's position in a sort. "prev" cursors page back
+  // towards the start of the list.
+  encodeListCursor(sort, recipe, direction) {
+    const value = recipe.get ? recipe.get(sort.field) : undefined;
+    
+    return encodeCursor({
+      sort: sort.key,
+      order: sort.direction,
+      value: value === undefined ? null : value,
+      id: String(recipe._id),
+      direction
+    });
+  }
+  
+  // The cursor's position, or null when it is malformed or was made for
+  // another sort
+  decodeListCursor(raw, sort) {
+    const cursor = decodeCursor(raw);
+    
+    if (!cursor
+      || cursor.sort !== sort.key
+      || cursor.order !== sort.direction
+      || !['next', 'prev'].includes(cursor.direction)
+      || !/^[0-9a-f]{24}$/i.test(cursor.id)
+      || !this.isCursorValue(sort.field, cursor.value)) {
+      return null;
+    }
+    
+    return cursor;
+  }
+  
+  // Cursor values go straight into the query, so anything but a value of
+  // the sort field's type (an object could be an operator) is refused
+  isCursorValue(field, value) {
+    if (value === null) return true;
+    
+    if (Recipe.schema.path(field).instance === 'Date') {
+      return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+    }
+    
+    return Number.isFinite(value);
+  }
+  
+  // Recipes after the cursor position in the given direction. Recipes
+  // without a value sort before all others ascending and after them
+  // descending, as MongoDB orders missing fields.
+  keysetCondition(field, direction, { value, id }) {
+    const after = direction === 1 ? '$gt' : '$lt';
+    
+    if (value === null) {
+      return direction === 1
+        ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+        : { [field]: null, _id: { $lt: id } };
+    }
+    
+    const branches = [
+      { [field]: { [after]: value } },
+      { [field]: value, _id: { [after]: id } }
+    ];
+    
+    if (direction === -1) {
+      branches.push({ [field]: null });
+    }
+    
+    return { $or: branches };
+  }
+  
+  // A page of the recipe list from a cursor, without skip or count
+  async listRecipes(query, { sort, limit, cursor }) {
+    const backwards = cursor.direction === 'prev';
+    const direction = backwards ? -sort.direction : sort.direction;
+    
+    const found = await Recipe.find({ $and: [query, this.keysetCondition(sort.field, direction, cursor)] })
+      .populate('author', 'name avatar')
+      .sort({ [sort.field]: direction, _id: direction })
+      .limit(limit + 1);
+    
+    const hasMore = found.length > limit;
+    const recipes = found.slice(0, limit);
+    
+    if (backwards) {
+      recipes.reverse();
+    }
+    
+    const first = recipes[0];
+    const last = recipes[recipes.length - 1];
+    
+    // Paging forward there is always something behind us, and the other
+    // way round
+    return {
+      recipes,
+      nextCursor: last && (backwards || hasMore) ? this.encodeListCursor(sort, last, 'next') : null,
+      prevCursor: first && (!backwards || hasMore) ? this.encodeListCursor(sort, first, 'prev') : null
+    };
+  }
+  
+  // A numbered page of the recipe list, with cursors to continue from it
+  async listRecipesByPage(query, { sort, limit, page }) {
+    const [recipes, total] = await Promise.all([
+      Recipe.find(query)
+        .populate('author', 'name avatar')
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Recipe.countDocuments(query)
+    ]);
+    
+    const first = recipes[0];
+    const last = recipes[recipes.length - 1];
+    
+    return {
+      recipes,
+      total,
+      nextCursor: last && page * limit < total ? this.encodeListCursor(sort, last, 'next') : null,
+      prevCursor: first && page > 1 ? this.encodeListCursor(sort, first, 'prev') : null
+    };
+  }
+  
+  // Result counts per option of each facet. Every facet is counted with
+  // all filters applied except its own, so the counts say how many recipes
+  // picking that option would return.
+  async getFacetCounts(params, user) {
+    const { base, facets } = this.buildFilters(params, user);
+    
+    const narrow = (facet) => {
+      const clauses = Object.keys(facets)
+        .filter(name => name !== facet)
+        .map(name => facets[name]);
+      
+      return clauses.length > 0 ? [{ $match: { $and: clauses } }] : [];
+    };
+    
+    const countBy = (facet, field, isArray = false) => [
+      ...narrow(facet),
+      ...(isArray ? [{ $unwind: `$${field}` }] : []),
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+    
+    const bucketBy = (facet, field, boundaries) => [
+      ...narrow(facet),
+      {
+        $bucket: {
+          groupBy: { $ifNull: [`$${field}`, UNKNOWN_BUCKET] },
+          boundaries: [UNKNOWN_BUCKET, ...boundaries, BUCKET_CEILING],
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ];
+    
+    const [result] = await Recipe.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          total: [...narrow(), { $count: 'count' }],
+          categories: countBy('categories', 'categories', true),
+          region: countBy('region', 'region'),
+          difficulty: countBy('difficulty', 'difficulty'),
+          cookingMethod: countBy('cookingMethod', 'cookingMethod', true),
+          occasionType: countBy('occasionType', 'occasionType', true),
+          cost: bucketBy('cost', 'estimatedCost.amount', COST_BUCKETS),
+          time: bucketBy('time', 'totalTime', TIME_BUCKETS)
+        }
+      }
+    ]);
+    
+    const toOptions = buckets => buckets.map(({ _id, count }) => ({ value: _id, count }));
+    
+    return {
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      categories: toOptions(result.categories),
+      region: toOptions(result.region),
+      difficulty: toOptions(result.difficulty),
+      cookingMethod: toOptions(result.cookingMethod),
+      occasionType: toOptions(result.occasionType),
+      cost: this.formatBuckets(result.cost, COST_BUCKETS),
+      time: this.formatBuckets(result.time, TIME_BUCKETS)
+    };
+  }
+  
+  // Turn $bucket output into { min, max, count } ranges, including empty ones
+  formatBuckets(buckets, boundaries) {
+    const counts = buckets.reduce((map, bucket) => {
+      map[bucket._id] = bucket.count;
+      return map;
+    }, {});
+    
+    const ranges = boundaries.map((min, index) => ({
+      min,
+      max: index < boundaries.length - 1 ? boundaries[index + 1] : null,
+      count: counts[min] || 0
+    }));
+    
+    if (counts[UNKNOWN_BUCKET]) {
+      ranges.push({ min: null, max: null, count: counts[UNKNOWN_BUCKET] });
+    }
+    
+    return ranges;
+  }
+  
+  // Rank recipes by how much of their ingredient list the pantry covers.
+  // Optional ingredients don't count, and an ingredient is covered when
+  // it or one of its substitutes is on hand. The missing items of the
+  // returned page are priced with today's prices in the market region.
+  async matchPantry(pantry, user, options = {}) {
+    const { filters = {}, page = 1, limit = 20, minMatch = 0, market } = options;
+    const hasIngredient = createIngredientMatcher(pantry);
+    
+    // Only recipes mentioning at least one pantry item can match
+    const pattern = [...new Set(pantry.flatMap(getSearchTerms))].map(escapeRegex).join('|');
+    const query = {
+      ...this.buildRecipeQuery(filters, user),
+      $or: [
+        { 'ingredients.item': { $regex: pattern, $options: 'i' } },
+        { 'ingredients.substitutes': { $regex: pattern, $options: 'i' } }
+      ]
+    };
+    
+    const candidates = await Recipe.find(query)
+      .select('name slug description images ingredients servings totalTime difficulty region categories estimatedCost ratings premium author')
+      .populate('author', 'name avatar')
+      .sort('-ratings.weighted')
+      .limit(MAX_PANTRY_CANDIDATES)
+      .lean();
+    
+    candidates.forEach(recipe => maskHiddenProfile(recipe.author));
+    
+    const matches = candidates
+      .map(recipe => this.scorePantryMatch(recipe, hasIngredient))
+      .filter(match => match && match.matchPercentage >= minMatch)
+      .sort((a, b) =>
+        b.matchPercentage - a.matchPercentage
+        || a.missing.length - b.missing.length
+        || (b.recipe.ratings?.average || 0) - (a.recipe.ratings?.average || 0)
+      );
+    
+    const results = matches.slice((page - 1) * limit, page * limit);
+    
+    const data = await Promise.all(results.map(async (match) => {
+      const cost = await marketPriceService.calculateRecipeCost(match.missing, market);
+      
+      return {
+        ...match,
+        missingCost: {
+          amount: cost.totalCost,
+          currency: 'GHS',
+          complete: cost.complete,
+          unpriced: cost.unpriced.map(item => item.item)
+        }
+      };
+    }));
+    
+    return { total: matches.length, data };
+  }
+  
+  // Returns null for recipes with nothing but optional ingredients
+  scorePantryMatch(recipe, hasIngredient) {
+    const required = (recipe.ingredients || []).filter(ingredient => !ingredient.optional);
+    
+    if (required.length === 0) {
+      return null;
+    }
+    
+    const matched = [];
+    const missing = [];
+    
+    required.forEach((ingredient) => {
+      const covered = hasIngredient(ingredient.item)
+        || (ingredient.substitutes || []).some(hasIngredient);
+      
+      if (covered) {
+        matched.push(ingredient.item);
+      } else {
+        missing.push({ item: ingredient.item, amount: ingredient.amount, unit: ingredient.unit });
+      }
+    });
+    
+    const { ingredients, ...summary } = recipe;
+    
+    return {
+      recipe: summary,
+      matchPercentage: Math.round((matched.length / required.length) * 100),
+      matched,
+      missing
+    };
+  }
+  
+  // Rescale a recipe to a new serving count, optionally converting every
+  // ingredient to the metric or local measurement system
+  scaleRecipe(recipe, servings, options = {}) {
+    const data = typeof recipe.toObject === 'function' ? recipe.toObject() : { ...recipe };
+    const originalServings = data.servings || 1;
+    const factor = servings / originalServings;
+    
+    data.ingredients = (data.ingredients || []).map(ingredient =>
+      this.scaleIngredient(ingredient, factor, options.units)
+    );
+    
+    if (data.estimatedCost && data.estimatedCost.amount) {
+      data.estimatedCost = {
+        ...data.estimatedCost,
+        amount: parseFloat((data.estimatedCost.amount * factor).toFixed(2)),
+        pricePerServing: parseFloat((data.estimatedCost.amount / originalServings).toFixed(2))
+      };
+    }
+    
+    // Stored nutrition is per serving, so only the batch total changes
+    if (data.nutrition) {
+      data.totalNutrition = NUTRITION_FIELDS.reduce((totals, field) => {
+        if (typeof data.nutrition[field] === 'number') {
+          totals[field] = parseFloat((data.nutrition[field] * servings).toFixed(1));
+        }
+        return totals;
+      }, {});
+    }
+    
+    data.servings = servings;
+    data.scaling = {
+      originalServings,
+      servings,
+      factor: parseFloat(factor.toFixed(4)),
+      units: options.units || 'original'
+    };
+    
+    return data;
+  }
+  
+  scaleIngredient(ingredient, factor, system) {
+    let amount = ingredient.amount * factor;
+    let { unit } = ingredient;
+    
+    if (system) {
+      ({ amount, unit } = units.toSystem(amount, unit, system));
+    }
+    
+    return {
+      ...ingredient,
+      amount: units.roundKitchenQuantity(amount, unit),
+      unit,
+      originalAmount: ingredient.amount,
+      originalUnit: ingredient.unit
+    };
+  }
+  
+  // Classify allergens and diets of every recipe from its ingredients.
+  // Recipes saved before classification existed have neither field, so
+  // they are missing from diet filters and from allergy-safe lists until
+  // this runs. Only recipes whose classification changed are written.
+  async classifyAll() {
+    const cursor = Recipe.find()
+      .select('ingredients allergens dietaryFlags')
+      .lean()
+      .cursor();
+    
+    let operations = [];
+    let checked = 0;
+    let updated = 0;
+    
+    const flush = async () => {
+      await Recipe.bulkWrite(operations, { ordered: false });
+      await this.invalidateRecipes(operations.map(operation => operation.updateOne.filter._id));
+      updated += operations.length;
+      operations = [];
+    };
+    
+    for await (const recipe of cursor) {
+      checked += 1;
+      const { allergens, dietaryFlags } = classifyIngredients(recipe.ingredients);
+      const unchanged = sameValues(recipe.allergens && [...recipe.allergens].sort(), allergens)
+        && sameValues(recipe.dietaryFlags, dietaryFlags);
+      
+      // A visible change to the recipe, so updatedAt (and its ETag) moves
+      if (!unchanged) {
+        operations.push({
+          updateOne: {
+            filter: { _id: recipe._id },
+            update: { $set: { allergens, dietaryFlags } }
+          }
+        });
+      }
+      
+      if (operations.length === CLASSIFY_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    
+    if (operations.length > 0) {
+      await flush();
+    }
+    
+    if (updated > 0) {
+      await this.invalidateRecipes([], { membership: true });
+    }
+    
+    return { checked, updated };
+  }
+}
+
+module.exports = new RecipeService();
\ No newline at end of file
@@ -0,0 +1,151 @@
+// src/services/render.service.js
+const jsonLdService = require('./jsonld.service');
+const { loadTemplates } = require('../utils/templates');
+const { localizeRecipe, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { formatDuration } = require('../utils/duration');
+
+// Format -> content type of the rendered recipe
+const RENDER_FORMATS = {
+  html: 'text/html',
+  markdown: 'text/markdown',
+  text: 'text/plain'
+};
+
+// Ten concatenated SMS segments; also reads as a single WhatsApp message
+const MAX_TEXT_LENGTH = 1530;
+
+const NUTRITION_LABELS = {
+  calories: { label: 'Calories', unit: 'kcal' },
+  protein: { label: 'Protein', unit: 'g' },
+  carbs: { label: 'Carbohydrates', unit: 'g' },
+  fat: { label: 'Fat', unit: 'g' },
+  fiber: { label: 'Fiber', unit: 'g' },
+  sugar: { label: 'Sugar', unit: 'g' },
+  sodium: { label: 'Sodium', unit: 'mg' }
+};
+
+const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard'
+};
+
+// Markdown templates don't escape, so recipe text is escaped here
+const escapeMarkdown = text => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+const keepText = text => text;
+
+class RenderService {
+  constructor() {
+    this.formats = Object.keys(RENDER_FORMATS);
+    this.templates = null;
+  }
+  
+  // Compiled on first use; HTML is escaped by Handlebars, the other
+  // formats are not HTML and must not be
+  getTemplates() {
+    if (!this.templates) {
+      this.templates = Promise.all([
+        loadTemplates('recipes', ['html']),
+        loadTemplates('recipes', ['markdown', 'text'], { noEscape: true })
+      ]).then(([html, plain]) => ({ ...html, ...plain }));
+      
+      // Let a failed load be retried on the next request
+      this.templates.catch(() => {
+        this.templates = null;
+      });
+    }
+    
+    return this.templates;
+  }
+  
+  contentType(format) {
+    return RENDER_FORMATS[format];
+  }
+  
+  // A recipe (already scaled, if requested) as an HTML page for printing,
+  // Markdown, or a short plain-text message
+  async render(recipe, format, language = DEFAULT_LANGUAGE) {
+    const templates = await this.getTemplates();
+    const escapeText = format === 'markdown' ? escapeMarkdown : keepText;
+    const view = this.toView(recipe, language, escapeText);
+    
+    const output = templates[format](view);
+    
+    return format === 'text' ? this.fitText(output, view.url) : output;
+  }
+  
+  // Everything the templates show, worked out ahead so they stay logic-free
+  toView(recipe, language, escapeText) {
+    const data = localizeRecipe(recipe, language);
+    const mainImage = (data.images || []).find(image => image.isMain) || (data.images || [])[0];
+    const scaling = data.scaling && data.scaling.servings !== data.scaling.originalServings
+      ? data.scaling
+      : null;
+    
+    const details = [
+      { label: 'Serves', value: scaling ? `${data.servings} (scaled from ${scaling.originalServings})` : data.servings },
+      { label: 'Prep', value: formatDuration(data.prepTime) },
+      { label: 'Cook', value: formatDuration(data.cookTime) },
+      { label: 'Total', value: formatDuration(data.totalTime) },
+      { label: 'Difficulty', value: DIFFICULTY_LABELS[data.difficulty] }
+    ].filter(detail => detail.value);
+    
+    const nutrition = data.nutrition
+      ? Object.keys(NUTRITION_LABELS)
+        .filter(field => typeof data.nutrition[field] === 'number')
+        .map(field => ({
+          label: NUTRITION_LABELS[field].label,
+          value: `${data.nutrition[field]} ${NUTRITION_LABELS[field].unit}`
+        }))
+      : [];
+    
+    return {
+      language,
+      name: escapeText(data.name || ''),
+      description: data.description ? escapeText(data.description) : '',
+      url: `${process.env.CLIENT_URL}/recipes/${data.slug}`,
+      image: mainImage && mainImage.url,
+      author: data.author && data.author.name ? escapeText(data.author.name) : '',
+      details,
+      summary: details
+        .filter(detail => detail.label !== 'Difficulty')
+        .map(detail => `${detail.label} ${detail.value}`)
+        .join(' · '),
+      ingredients: (data.ingredients || []).map(ingredient => escapeText(jsonLdService.formatIngredient(ingredient))),
+      instructions: (data.instructions || [])
+        .slice()
+        .sort((a, b) => a.step - b.step)
+        .map(instruction => ({
+          step: instruction.step,
+          description: escapeText(instruction.description),
+          duration: formatDuration(instruction.duration),
+          tips: (instruction.tips || []).map(escapeText)
+        })),
+      nutrition,
+      cost: data.estimatedCost && data.estimatedCost.amount
+        ? `${data.estimatedCost.currency || 'GHS'} ${Number(data.estimatedCost.amount).toFixed(2)}`
+        : ''
+    };
+  }
+  
+  // Cut a long message at a line break and point to the full recipe
+  fitText(text, url) {
+    const message = text.trim();
+    if (message.length <= MAX_TEXT_LENGTH) return message;
+    
+    const footer = `\n...\nFull recipe: ${url}`;
+    const kept = [];
+    let length = footer.length;
+    
+    for (const line of message.split('\n')) {
+      if (length + line.length + 1 > MAX_TEXT_LENGTH) break;
+      kept.push(line);
+      length += line.length + 1;
+    }
+    
+    return `${kept.join('\n').trim()}${footer}`;
+  }
+}
+
+module.exports = new RenderService();
\ No newline at end of file
@@ -0,0 +1,201 @@
+// src/services/report.service.js
+const mongoose = require('mongoose');
+const Report = require('../models/report.model');
+const Recipe = require('../models/recipe.model');
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+const recipeService = require('./recipe.service');
+const reviewService = require('./review.service');
+const logger = require('../utils/logger');
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require('../utils/constants');
+
+// Open reports from this many people hide the content until a moderator
+// looks at it
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+// Per target type: its model, the path holding its author, and what the
+// moderation queue shows of it
+const TARGETS = {
+  recipe: { model: Recipe, author: 'author', summary: 'name slug author status visibility' },
+  review: { model: Review, author: 'user', summary: 'recipe user rating comment photos visibility' },
+  user: { model: User, author: '_id', summary: 'name email avatar role isActive visibility' }
+};
+
+class ReportService {
+  constructor() {
+    this.targetTypes = REPORT_TARGET_TYPES;
+    this.reasons = REPORT_REASONS;
+    this.autoHideThreshold = AUTO_HIDE_THRESHOLD;
+  }
+  
+  async findTarget(targetType, targetId) {
+    if (!TARGETS[targetType] || !mongoose.isValidObjectId(targetId)) {
+      return null;
+    }
+    
+    return TARGETS[targetType].model.findById(targetId);
+  }
+  
+  // Whether the user can see the content. Reviews are as visible as their
+  // recipe, and premium recipes only to subscribers (and their author).
+  async isVisibleTo(targetType, target, user) {
+    if (!target || target.visibility === 'removed') return false;
+    if (targetType === 'user') return true;
+    
+    const recipe = targetType === 'recipe'
+      ? target
+      : await Recipe.findById(target.recipe).select('published premium author');
+    
+    if (!recipe || !recipe.isVisibleTo(user)) return false;
+    
+    return !recipe.premium || recipeService.getAccessTier(user) === 'premium' || recipe.isOwnedBy(user);
+  }
+  
+  authorOf(targetType, target) {
+    return target.get(TARGETS[targetType].author);
+  }
+  
+  // Open reports on the content, one per reporter
+  countOpen(targetType, targetId) {
+    return Report.countDocuments({ targetType, target: targetId, status: 'open' });
+  }
+  
+  // File a report, hiding the content once enough people have reported it.
+  // Returns null when the reporter already has an open report on it.
+  async report(targetType, target, reporterId, { reason, details }) {
+    let report;
+    
+    try {
+      report = await Report.create({
+        targetType,
+        target: target._id,
+        author: this.authorOf(targetType, target),
+        reporter: reporterId,
+        reason,
+        details
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+    
+    const reportCount = await this.countOpen(targetType, target._id);
+    
+    if (reportCount >= this.autoHideThreshold && target.visibility === 'visible') {
+      await this.setVisibility(targetType, target, 'hidden');
+      logger.info(`Hid ${targetType} ${target._id} after ${reportCount} reports`);
+    }
+    
+    return report;
+  }
+  
+  // Change what the public sees of the content, and refresh what depends
+  // on it
+  async setVisibility(targetType, target, visibility) {
+    target.visibility = visibility;
+    await target.save({ validateBeforeSave: false });
+    
+    if (targetType === 'recipe') {
+      // It leaves (or rejoins) every published listing
+      await recipeService.invalidateRecipes(target._id, { membership: true });
+    } else if (targetType === 'review') {
+      await reviewService.recomputeRatings(target.recipe);
+    } else if (targetType === 'user') {
+      // Their name and avatar show on the recipes they wrote or reviewed,
+      // so those recipes' ETags move and cached listings are dropped
+      const [authored, reviewed] = await Promise.all([
+        Recipe.distinct('_id', { author: target._id }),
+        Review.distinct('recipe', { user: target._id })
+      ]);
+      const recipeIds = [...authored, ...reviewed];
+      
+      await Recipe.updateMany({ _id: { $in: recipeIds } }, { $set: { updatedAt: new Date() } });
+      await recipeService.invalidateRecipes(recipeIds, { membership: true });
+    }
+  }
+  
+  // Close the content's open reports with the moderator's decision.
+  // Returns how many were closed.
+  async closeReports(targetType, targetId, { action, moderator, note }) {
+    const result = await Report.updateMany(
+      { targetType, target: targetId, status: 'open' },
+      {
+        $set: {
+          status: action === 'dismiss' ? 'dismissed' : 'resolved',
+          resolution: { action, moderator, note, resolvedAt: new Date() }
+        }
+      }
+    );
+    
+    return result.modifiedCount;
+  }
+  
+  // Reported content with open reports, most reported first
+  async getQueue({ targetType, page = 1, limit = 20 } = {}) {
+    const match = { status: 'open' };
+    
+    if (targetType) {
+      match.targetType = targetType;
+    }
+    
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', target: '$target' },
+          author: { $first: '$author' },
+          reportCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, firstReportedAt: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    
+    const items = result.items.map(item => ({
+      targetType: item._id.targetType,
+      target: item._id.target,
+      author: item.author,
+      reportCount: item.reportCount,
+      // { offensive: 3, spam: 1 }
+      reasons: item.reasons.reduce((counts, reason) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+        return counts;
+      }, {}),
+      firstReportedAt: item.firstReportedAt,
+      lastReportedAt: item.lastReportedAt
+    }));
+    
+    await this.attachTargets(items);
+    
+    return {
+      items,
+      total: result.total.length > 0 ? result.total[0].count : 0
+    };
+  }
+  
+  // Replace target ids with a summary of the content (null once deleted)
+  async attachTargets(items) {
+    await Promise.all(Object.entries(TARGETS).map(async ([targetType, { model, summary }]) => {
+      const ofType = items.filter(item => item.targetType === targetType);
+      if (ofType.length === 0) return;
+      
+      const docs = await model.find({ _id: { $in: ofType.map(item => item.target) } })
+        .select(summary);
+      const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+      
+      ofType.forEach((item) => {
+        item.content = byId.get(item.target.toString()) || null;
+      });
+    }));
+  }
+}
+
+module.exports = new ReportService();
\ No newline at end of file
@@ -0,0 +1,178 @@
+// src/services/review.service.js
+const mongoose = require('mongoose');
+const Recipe = require('../models/recipe.model');
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+const cacheService = require('./cache.service');
+const recipeService = require('./recipe.service');
+const storageService = require('./storage.service');
+
+// Sorts of a recipe's reviews, newest first on ties
+const REVIEW_SORTS = {
+  helpful: '-helpfulCount -createdAt',
+  recent: '-createdAt'
+};
+
+// Bayesian weighting: every recipe starts with PRIOR_WEIGHT virtual
+// reviews at the site-wide mean, so a single 5-star review counts for
+// little until more reviews agree with it
+const PRIOR_WEIGHT = parseInt(process.env.RATING_PRIOR_WEIGHT) || 5;
+const DEFAULT_PRIOR_MEAN = 3.5;
+const PRIOR_MEAN_KEY = 'reviews:prior-mean';
+const PRIOR_MEAN_TTL = 3600;
+
+class ReviewService {
+  constructor() {
+    this.sorts = Object.keys(REVIEW_SORTS);
+    this.defaultSort = 'helpful';
+  }
+  
+  getSort(sort) {
+    return REVIEW_SORTS[sort] || null;
+  }
+  
+  // Whether the user logged cooking the recipe
+  async hasCooked(userId, recipeId) {
+    return !!(await User.exists({ _id: userId, 'cookingHistory.recipe': recipeId }));
+  }
+  
+  // Mean rating across all reviews, cached for an hour. It only moves
+  // the prior, so it doesn't need to be current.
+  async getPriorMean() {
+    const cached = await cacheService.get(PRIOR_MEAN_KEY);
+    if (cached !== null && cached !== undefined) {
+      return parseFloat(cached);
+    }
+    
+    const [result] = await Review.aggregate([
+      { $group: { _id: null, mean: { $avg: '$rating' } } }
+    ]);
+    const mean = result ? result.mean : DEFAULT_PRIOR_MEAN;
+    
+    await cacheService.set(PRIOR_MEAN_KEY, String(mean), PRIOR_MEAN_TTL);
+    
+    return mean;
+  }
+  
+  // Recompute a recipe's ratings and review list inside MongoDB: the
+  // pipeline reads the reviews and merges the result into the recipe in
+  // one operation, so concurrent reviews can't leave stale totals behind.
+  async recomputeRatings(recipeId) {
+    await this.aggregateRatings({ _id: new mongoose.Types.ObjectId(String(recipeId)) });
+    await recipeService.invalidateRecipes(recipeId);
+  }
+  
+  // A review changed without moving the ratings (comment, photos, helpful
+  // votes). Recipe responses include the reviews, so the recipe's
+  // updatedAt, and with it the ETag, moves anyway.
+  async touchRecipe(recipeId) {
+    await Recipe.updateOne({ _id: recipeId }, { $set: { updatedAt: new Date() } });
+    await recipeService.invalidateRecipes(recipeId);
+  }
+  
+  // Every recipe, e.g. to backfill ratings.weighted or to follow a moved
+  // site-wide mean
+  async recomputeAll() {
+    await this.aggregateRatings({});
+    await recipeService.invalidateRecipes([], { membership: true });
+  }
+  
+  async aggregateRatings(match) {
+    const priorMean = await this.getPriorMean();
+    const count = { $size: '$reviewList' };
+    
+    await Recipe.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Review.collection.name,
+          let: { recipe: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$recipe', '$$recipe'] }, visibility: 'visible' } },
+            { $sort: { createdAt: 1 } },
+            { $project: { rating: 1 } }
+          ],
+          as: 'reviewList'
+        }
+      },
+      {
+        $project: {
+          reviews: '$reviewList._id',
+          ratings: {
+            average: { $round: [{ $ifNull: [{ $avg: '$reviewList.rating' }, 0] }, 2] },
+            count,
+            // Unrated recipes stay at 0 rather than the prior
+            weighted: {
+              $cond: [
+                { $eq: [count, 0] },
+                0,
+                {
+                  $round: [{
+                    $divide: [
+                      { $add: [{ $sum: '$reviewList.rating' }, PRIOR_WEIGHT * priorMean] },
+                      { $add: [count, PRIOR_WEIGHT] }
+                    ]
+                  }, 2]
+                }
+              ]
+            }
+          },
+          // Ratings are part of the recipe response, so its ETag moves
+          updatedAt: '$$NOW'
+        }
+      },
+      {
+        $merge: {
+          into: Recipe.collection.name,
+          on: '_id',
+          whenMatched: 'merge',
+          whenNotMatched: 'discard'
+        }
+      }
+    ]);
+  }
+  
+  // Reviews of a deleted recipe, with their photos
+  async deleteForRecipe(recipeId) {
+    const reviews = await Review.find({ recipe: recipeId, 'photos.0': { $exists: true } })
+      .select('photos');
+    
+    await Promise.all(
+      reviews.flatMap(review => review.photos.map(photo => storageService.deleteImage(photo.url)))
+    );
+    
+    await Review.deleteMany({ recipe: recipeId });
+  }
+  
+  // Count a user's helpful vote once. Returns the new count, or null when
+  // the user had already voted.
+  async addHelpfulVote(reviewId, userId) {
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVoters: { $ne: userId } },
+      { $push: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+      { new: true, timestamps: false }
+    );
+    
+    if (!review) return null;
+    
+    await this.touchRecipe(review.recipe);
+    return review.helpfulCount;
+  }
+  
+  // Take back a user's helpful vote. Returns the new count, or null when
+  // the user hadn't voted.
+  async removeHelpfulVote(reviewId, userId) {
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVoters: userId },
+      { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+      { new: true, timestamps: false }
+    );
+    
+    if (!review) return null;
+    
+    await this.touchRecipe(review.recipe);
+    return review.helpfulCount;
+  }
+}
+
+module.exports = new ReviewService();
\ No newline at end of file
@@ -0,0 +1,150 @@
+// src/services/revision.service.js
+const RecipeRevision = require('../models/recipeRevision.model');
+const logger = require('../utils/logger');
+
+// Recipe fields captured in a revision. Counters, ratings and other
+// engagement data are not part of a recipe's content and are never reverted.
+const REVISIONED_FIELDS = [
+  'name',
+  'description',
+  'ingredients',
+  'instructions',
+  'nutrition',
+  'prepTime',
+  'cookTime',
+  'servings',
+  'difficulty',
+  'categories',
+  'cuisineType',
+  'mealType',
+  'occasionType',
+  'region',
+  'tags',
+  'cookingMethod',
+  'equipment',
+  'images',
+  'videoUrl',
+  'videoEmbedCode',
+  'estimatedCost',
+  'source',
+  'attribution',
+  'premium',
+  'seo'
+];
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Flatten a snapshot into dot paths, e.g. ingredients.0.amount
+const flatten = (value, prefix = '', paths = {}) => {
+  if (Array.isArray(value) || isPlainObject(value)) {
+    const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+    
+    for (const [key, child] of entries) {
+      // Subdocument ids change on every edit and carry no content
+      if (key !== '_id') {
+        flatten(child, prefix ? `${prefix}.${key}` : String(key), paths);
+      }
+    }
+    
+    return paths;
+  }
+  
+  paths[prefix] = value instanceof Date ? value.toISOString() : value;
+  return paths;
+};
+
+class RevisionService {
+  snapshot(recipe) {
+    const data = recipe.toObject({ depopulate: true, virtuals: false });
+    
+    return REVISIONED_FIELDS.reduce((snapshot, field) => {
+      if (data[field] !== undefined) {
+        snapshot[field] = data[field];
+      }
+      return snapshot;
+    }, {});
+  }
+  
+  // Top-level fields whose content differs between two snapshots
+  getChangedFields(before, after) {
+    return REVISIONED_FIELDS.filter(field =>
+      JSON.stringify(flatten(before[field])) !== JSON.stringify(flatten(after[field]))
+    );
+  }
+  
+  // Field-level differences between two snapshots
+  diff(before, after) {
+    const from = flatten(before);
+    const to = flatten(after);
+    const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+    
+    return paths.reduce((changes, path) => {
+      if (!(path in from)) {
+        changes.push({ path, type: 'added', to: to[path] });
+      } else if (!(path in to)) {
+        changes.push({ path, type: 'removed', from: from[path] });
+      } else if (JSON.stringify(from[path]) !== JSON.stringify(to[path])) {
+        changes.push({ path, type: 'changed', from: from[path], to: to[path] });
+      }
+      return changes;
+    }, []);
+  }
+  
+  // Store the recipe's current state as a new revision
+  async record(recipe, userId, { changedFields = [], restoredFrom } = {}) {
+    const snapshot = this.snapshot(recipe);
+    
+    for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+      const latest = await RecipeRevision.getLatest(recipe._id);
+      
+      try {
+        return await RecipeRevision.create({
+          recipe: recipe._id,
+          revision: latest ? latest.revision + 1 : 1,
+          snapshot,
+          changedFields,
+          changedBy: userId,
+          restoredFrom
+        });
+      } catch (error) {
+        // Another update claimed the same revision number - retry
+        if (error.code !== 11000 || attempt === MAX_RECORD_ATTEMPTS) {
+          throw error;
+        }
+        logger.warn(`Revision number conflict for recipe ${recipe._id}, retrying`);
+      }
+    }
+  }
+  
+  // Recipes created before revisions existed get their current state
+  // stored as revision 1 before the first change is applied
+  async ensureBaseline(recipe) {
+    const latest = await RecipeRevision.getLatest(recipe._id);
+    
+    if (!latest) {
+      await this.record(recipe, recipe.author);
+    }
+  }
+  
+  async restore(recipe, revision, userId) {
+    await this.ensureBaseline(recipe);
+    
+    const before = this.snapshot(recipe);
+    
+    REVISIONED_FIELDS.forEach((field) => {
+      recipe.set(field, revision.snapshot[field]);
+    });
+    
+    await recipe.save();
+    
+    return this.record(recipe, userId, {
+      changedFields: this.getChangedFields(before, this.snapshot(recipe)),
+      restoredFrom: revision.revision
+    });
+  }
+}
+
+module.exports = new RevisionService();
\ No newline at end of file
@@ -0,0 +1,195 @@
+// src/services/similarity.service.js
+const Recipe = require('../models/recipe.model');
+const recipeService = require('./recipe.service');
+const logger = require('../utils/logger');
+const { resolveIngredientKey, normalizeIngredientName } = require('../utils/ingredients');
+const { maskHiddenProfile } = require('../utils/helpers');
+
+// How much each kind of overlap counts towards a similarity score (sums to 1)
+const SIMILARITY_WEIGHTS = {
+  ingredients: 0.4,
+  tags: 0.15,
+  categories: 0.15,
+  cookingMethod: 0.1,
+  region: 0.1,
+  difficulty: 0.1
+};
+
+// Features that pick the candidates worth scoring against a recipe
+const CANDIDATE_FEATURES = ['ingredients', 'tags', 'categories'];
+
+// Matches kept per recipe; more than a page so free users still get a
+// full list once premium recipes are left out
+const MAX_STORED_SIMILAR = 30;
+const MIN_SIMILARITY = 0.1;
+const READ_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// Candidate features shared by more recipes than this ("salt", "stew")
+// say little about similarity and would make nearly every recipe a
+// candidate of every other, so they don't pick candidates. They still
+// count towards the score of the candidates that are picked.
+const MAX_POSTINGS = 500;
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  
+  let shared = 0;
+  a.forEach((value) => {
+    if (b.has(value)) shared += 1;
+  });
+  
+  return shared / (a.size + b.size - shared);
+};
+
+const toSet = values => new Set((values || []).filter(Boolean).map(value => String(value).toLowerCase()));
+
+class SimilarityService {
+  // Comparable features of a recipe. Ingredients are compared by canonical
+  // key so "fresh tomatoes" and "tomato" count as the same thing.
+  getFeatures(recipe) {
+    return {
+      id: String(recipe._id),
+      premium: !!recipe.premium,
+      ingredients: new Set((recipe.ingredients || [])
+        .filter(ingredient => !ingredient.optional)
+        .map(ingredient => resolveIngredientKey(ingredient.item) || normalizeIngredientName(ingredient.item))
+        .filter(Boolean)),
+      tags: toSet(recipe.tags),
+      categories: toSet(recipe.categories),
+      cookingMethod: toSet(recipe.cookingMethod),
+      region: toSet([recipe.region]),
+      difficulty: toSet([recipe.difficulty])
+    };
+  }
+  
+  // 0 (nothing in common) to 1 (same on every feature)
+  score(a, b) {
+    const total = Object.keys(SIMILARITY_WEIGHTS).reduce(
+      (sum, feature) => sum + SIMILARITY_WEIGHTS[feature] * jaccard(a[feature], b[feature]),
+      0
+    );
+    
+    return parseFloat(total.toFixed(4));
+  }
+  
+  // Best matches of every published recipe among the others, written to
+  // recipe.similar. Only recipes sharing a not too common ingredient, tag
+  // or category are scored against each other. CPU-bound, so run from the
+  // similarity worker or script only.
+  async computeAll() {
+    const startedAt = Date.now();
+    const features = [];
+    const index = new Map();
+    
+    // Streamed so only the compact features of each recipe are kept
+    const cursor = Recipe.find({ published: true })
+      .select('ingredients tags categories cookingMethod region difficulty premium')
+      .lean()
+      .cursor({ batchSize: READ_BATCH_SIZE });
+    
+    for await (const found of cursor) {
+      const recipe = this.getFeatures(found);
+      const position = features.push(recipe) - 1;
+      
+      CANDIDATE_FEATURES.forEach((feature) => {
+        recipe[feature].forEach((value) => {
+          const key = `${feature}:${value}`;
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push(position);
+        });
+      });
+    }
+    
+    let skipped = 0;
+    index.forEach((postings, key) => {
+      if (postings.length > MAX_POSTINGS) {
+        index.delete(key);
+        skipped += 1;
+      }
+    });
+    
+    let operations = [];
+    let updated = 0;
+    
+    for (let position = 0; position < features.length; position += 1) {
+      const recipe = features[position];
+      const candidates = new Set();
+      
+      CANDIDATE_FEATURES.forEach((feature) => {
+        recipe[feature].forEach((value) => {
+          (index.get(`${feature}:${value}`) || []).forEach(candidate => candidates.add(candidate));
+        });
+      });
+      candidates.delete(position);
+      
+      const similar = [...candidates]
+        .map(candidate => ({
+          recipe: features[candidate].id,
+          score: this.score(recipe, features[candidate]),
+          premium: features[candidate].premium
+        }))
+        .filter(match => match.score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_STORED_SIMILAR);
+      
+      // Derived data, not an edit: updatedAt (and so the ETag) stays
+      operations.push({
+        updateOne: {
+          filter: { _id: recipe.id },
+          update: { $set: { similar, similarComputedAt: new Date(startedAt) } },
+          timestamps: false
+        }
+      });
+      
+      if (operations.length === WRITE_BATCH_SIZE) {
+        await Recipe.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    }
+    
+    if (operations.length > 0) {
+      await Recipe.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+    
+    logger.info(`Similar recipes computed for ${updated} recipes in ${Date.now() - startedAt}ms, ${skipped} common features skipped`);
+    
+    return { updated };
+  }
+  
+  // Stored matches of a recipe that the user may see, best first. Matches
+  // unpublished since the last run are dropped here.
+  async getSimilar(recipe, user, { limit = 10, params = {} } = {}) {
+    const criteria = {
+      published: true,
+      ...(recipeService.getPreferenceQuery(params, user) || {})
+    };
+    
+    let matches = recipe.similar || [];
+    
+    if (recipeService.getAccessTier(user) === 'free') {
+      criteria.premium = false;
+      matches = matches.filter(match => !match.premium);
+    }
+    
+    const ids = matches.map(match => match.recipe);
+    
+    const recipes = await Recipe.find({ ...criteria, _id: { $in: ids } })
+      .select('name slug description images totalTime difficulty region categories ratings premium author')
+      .populate('author', 'name avatar')
+      .lean();
+    
+    recipes.forEach(recipe => maskHiddenProfile(recipe.author));
+    
+    const byId = new Map(recipes.map(found => [String(found._id), found]));
+    
+    return matches
+      .filter(match => byId.has(String(match.recipe)))
+      .slice(0, limit)
+      .map(match => ({ ...byId.get(String(match.recipe)), similarity: match.score }));
+  }
+}
+
+module.exports = new SimilarityService();
\ No newline at end of file
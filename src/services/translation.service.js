@@ -0,0 +1,200 @@
+// src/services/translation.service.js
+const mongoose = require('mongoose');
+const Recipe = require('../models/recipe.model');
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TRANSLATION_LANGUAGES,
+  LOCALIZED_FIELDS,
+  LOCALIZED_ENTRY_FIELDS
+} = require('../utils/i18n');
+
+// { en, tw, ... } as sent by clients for a translatable field
+const isLanguageMap = value =>
+  value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && Object.keys(value).some(key => SUPPORTED_LANGUAGES.includes(key));
+
+// Aggregation expressions for "this text is missing"
+const isBlank = path => ({ $eq: [{ $ifNull: [path, ''] }, ''] });
+const isEmptyList = path => ({ $eq: [{ $size: { $ifNull: [path, []] } }, 0] });
+
+const countEntries = (collection, cond) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: [`$${collection}`, []] },
+      as: 'entry',
+      cond
+    }
+  }
+});
+
+class TranslationService {
+  // Accept { en, tw, ee, ga } for ingredient and instruction text on
+  // write, storing English in the field and the rest under translations
+  normalizeInput(body) {
+    Object.entries(LOCALIZED_ENTRY_FIELDS).forEach(([collection, fields]) => {
+      if (!Array.isArray(body[collection])) return;
+      
+      body[collection] = body[collection].map(entry =>
+        this.splitTranslations({ ...entry }, fields)
+      );
+    });
+    
+    return body;
+  }
+  
+  splitTranslations(entry, fields) {
+    fields.forEach((field) => {
+      const value = entry[field];
+      if (!isLanguageMap(value)) return;
+      
+      entry[field] = value[DEFAULT_LANGUAGE];
+      
+      TRANSLATION_LANGUAGES.forEach((language) => {
+        if (value[language] === undefined) return;
+        
+        entry.translations = entry.translations || {};
+        entry.translations[language] = {
+          ...(entry.translations[language] || {}),
+          [field]: value[language]
+        };
+      });
+    });
+    
+    return entry;
+  }
+  
+  // Locate a translatable field of a recipe. Fields are addressed as
+  // name, description or <collection>.<entryId>.<field>, e.g.
+  // ingredients.64f0c2...item. Returns null for unknown fields.
+  resolveField(recipe, field) {
+    if (LOCALIZED_FIELDS.includes(field)) {
+      return {
+        original: recipe[field] && recipe[field][DEFAULT_LANGUAGE]
+      };
+    }
+    
+    const [collection, entryId, key, ...rest] = String(field).split('.');
+    const fields = LOCALIZED_ENTRY_FIELDS[collection];
+    
+    if (rest.length > 0 || !fields || !fields.includes(key) || !mongoose.isValidObjectId(entryId)) {
+      return null;
+    }
+    
+    const entry = recipe[collection].id(entryId);
+    if (!entry) return null;
+    
+    return {
+      entry,
+      key,
+      original: Array.isArray(entry[key]) ? entry[key].join('\n') : entry[key]
+    };
+  }
+  
+  // Merge an accepted proposal into the recipe document (not saved).
+  // Returns false when the translated text no longer exists.
+  applyProposal(recipe, proposal) {
+    const target = this.resolveField(recipe, proposal.field);
+    if (!target) return false;
+    
+    const { language, text } = proposal;
+    
+    if (!target.entry) {
+      recipe.set(`${proposal.field}.${language}`, text);
+      return true;
+    }
+    
+    // Tips are proposed one per line
+    const value = target.key === 'tips'
+      ? text.split('\n').map(tip => tip.trim()).filter(Boolean)
+      : text;
+    
+    target.entry.set(`translations.${language}.${target.key}`, value);
+    return true;
+  }
+  
+  // Per-language counts of untranslated text for one recipe
+  missingFieldsExpression(language) {
+    const field = (entryField) => `$$entry.translations.${language}.${entryField}`;
+    
+    const fields = {
+      name: { $cond: [isBlank(`$name.${language}`), 1, 0] },
+      description: { $cond: [isBlank(`$description.${language}`), 1, 0] },
+      ingredients: countEntries('ingredients', isBlank(field('item'))),
+      ingredientNotes: countEntries('ingredients', {
+        $and: [{ $not: [isBlank('$$entry.notes')] }, isBlank(field('notes'))]
+      }),
+      instructions: countEntries('instructions', isBlank(field('description'))),
+      tips: countEntries('instructions', {
+        $and: [{ $not: [isEmptyList('$$entry.tips')] }, isEmptyList(field('tips'))]
+      })
+    };
+    
+    return {
+      fields,
+      total: { $add: Object.values(fields) }
+    };
+  }
+  
+  // Published recipes with untranslated text, most viewed first
+  async getMissingTranslationsReport({ language, page = 1, limit = 20 } = {}) {
+    const languages = language ? [language] : TRANSLATION_LANGUAGES;
+    
+    const missing = languages.reduce((expressions, code) => {
+      expressions[code] = this.missingFieldsExpression(code);
+      return expressions;
+    }, {});
+    
+    const [result] = await Recipe.aggregate([
+      { $match: { published: true } },
+      {
+        $project: {
+          name: '$name.en',
+          slug: 1,
+          author: 1,
+          views: 1,
+          missing
+        }
+      },
+      {
+        $match: {
+          $or: languages.map(code => ({ [`missing.${code}.total`]: { $gt: 0 } }))
+        }
+      },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: languages.reduce((group, code) => {
+                group[code] = { $sum: { $cond: [{ $gt: [`$missing.${code}.total`, 0] }, 1, 0] } };
+                return group;
+              }, { _id: null, recipes: { $sum: 1 } })
+            }
+          ],
+          data: [
+            { $sort: { views: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit }
+          ]
+        }
+      }
+    ]);
+    
+    const summary = result.summary[0] || { recipes: 0 };
+    
+    return {
+      languages,
+      total: summary.recipes,
+      // Recipes with at least one missing translation, per language
+      incomplete: languages.reduce((counts, code) => {
+        counts[code] = summary[code] || 0;
+        return counts;
+      }, {}),
+      data: result.data
+    };
+  }
+}
+
+module.exports = new TranslationService();
\ No newline at end of file
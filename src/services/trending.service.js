@@ -0,0 +1,203 @@
+// src/services/trending.service.js
+const mongoose = require('mongoose');
+const Recipe = require('../models/recipe.model');
+const RecipeStats = require('../models/recipeStats.model');
+const cacheService = require('./cache.service');
+const recipeService = require('./recipe.service');
+const logger = require('../utils/logger');
+const { maskHiddenProfile } = require('../utils/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BUCKET_MS = { hour: HOUR_MS, day: DAY_MS };
+
+// Counted activity and how much one of each counts towards a score
+const TRENDING_EVENTS = {
+  views: 1,
+  saves: 5,
+  cooks: 10
+};
+
+// Each window reads this many hourly or daily buckets. Activity loses
+// half its weight every halfLife buckets, so the latest buckets dominate.
+const TRENDING_WINDOWS = {
+  '24h': { bucket: 'hour', buckets: 24, halfLife: 6 },
+  '7d': { bucket: 'day', buckets: 7, halfLife: 2 },
+  '30d': { bucket: 'day', buckets: 30, halfLife: 7 }
+};
+const DEFAULT_TRENDING_WINDOW = '7d';
+
+// Buckets outlive the longest window that reads them
+const BUCKET_TTL = {
+  hour: 2 * 24 * 60 * 60,
+  day: 35 * 24 * 60 * 60
+};
+
+// Recipes ranked this high in the 7-day window are marked as trending
+const TRENDING_RANK_LIMIT = 50;
+const MAX_TRENDING_CANDIDATES = 200;
+
+const CARD_FIELDS = 'name slug description images totalTime difficulty region categories estimatedCost ratings premium author';
+
+// UTC bucket id: 2026101908 for an hour, 20261019 for a day
+const bucketId = (time, bucket) => new Date(time)
+  .toISOString()
+  .replace(/[-T:]/g, '')
+  .slice(0, bucket === 'hour' ? 10 : 8);
+
+const startOfDay = time => new Date(Math.floor(time / DAY_MS) * DAY_MS);
+
+class TrendingService {
+  constructor() {
+    this.windows = Object.keys(TRENDING_WINDOWS);
+    this.defaultWindow = DEFAULT_TRENDING_WINDOW;
+  }
+  
+  // Hash of per-recipe counts for one event in one bucket
+  bucketKey(event, bucket, time) {
+    return `trending:${event}:${bucket}:${bucketId(time, bucket)}`;
+  }
+  
+  // Count activity on a recipe. Counting never fails the request that
+  // triggered it; CacheService logs Redis errors.
+  async record(recipeId, event, amount = 1) {
+    if (!TRENDING_EVENTS[event]) {
+      throw new Error(`Unknown trending event: ${event}`);
+    }
+    
+    const now = Date.now();
+    
+    await Promise.all(['hour', 'day'].map(bucket =>
+      cacheService.hincrby(this.bucketKey(event, bucket, now), String(recipeId), amount, BUCKET_TTL[bucket])
+    ));
+  }
+  
+  // Decay-weighted score of every recipe with activity in the window
+  async getScores(window = DEFAULT_TRENDING_WINDOW, now = Date.now()) {
+    const { bucket, buckets, halfLife } = TRENDING_WINDOWS[window];
+    const keys = [];
+    const weights = [];
+    
+    Object.keys(TRENDING_EVENTS).forEach((event) => {
+      for (let age = 0; age < buckets; age += 1) {
+        keys.push(this.bucketKey(event, bucket, now - age * BUCKET_MS[bucket]));
+        weights.push(TRENDING_EVENTS[event] * 0.5 ** (age / halfLife));
+      }
+    });
+    
+    const counts = await cacheService.hgetallMany(keys);
+    const scores = new Map();
+    
+    counts.forEach((values, index) => {
+      Object.entries(values).forEach(([recipeId, count]) => {
+        scores.set(recipeId, (scores.get(recipeId) || 0) + weights[index] * Number(count));
+      });
+    });
+    
+    return scores;
+  }
+  
+  // Highest scores first, as [recipeId, score] pairs
+  rankScores(scores, limit) {
+    return [...scores.entries()]
+      .filter(([recipeId, score]) => score > 0 && mongoose.isValidObjectId(recipeId))
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit);
+  }
+  
+  // Trending recipes the user may see, with their score
+  async getTrending(window, user, { limit = 20, params = {} } = {}) {
+    const ranked = this.rankScores(await this.getScores(window), MAX_TRENDING_CANDIDATES);
+    if (ranked.length === 0) return [];
+    
+    const query = {
+      _id: { $in: ranked.map(([recipeId]) => recipeId) },
+      published: true,
+      ...(recipeService.getPreferenceQuery(params, user) || {})
+    };
+    
+    if (recipeService.getAccessTier(user) === 'free') {
+      query.premium = false;
+    }
+    
+    const recipes = await Recipe.find(query)
+      .select(CARD_FIELDS)
+      .populate('author', 'name avatar')
+      .lean();
+    
+    recipes.forEach(recipe => maskHiddenProfile(recipe.author));
+    
+    const byId = new Map(recipes.map(recipe => [String(recipe._id), recipe]));
+    
+    return ranked
+      .filter(([recipeId]) => byId.has(recipeId))
+      .slice(0, limit)
+      .map(([recipeId, score]) => ({
+        ...byId.get(recipeId),
+        trendingScore: parseFloat(score.toFixed(2))
+      }));
+  }
+  
+  // Persist today's and yesterday's daily counters to RecipeStats (again
+  // on every run, so late counts land) and mark the top recipes of the
+  // 7-day window as trending
+  async rollup(now = Date.now()) {
+    const days = [now, now - DAY_MS];
+    let statsWritten = 0;
+    
+    for (const day of days) {
+      const events = Object.keys(TRENDING_EVENTS);
+      const counts = await cacheService.hgetallMany(
+        events.map(event => this.bucketKey(event, 'day', day))
+      );
+      
+      const totals = new Map();
+      counts.forEach((values, index) => {
+        Object.entries(values).forEach(([recipeId, count]) => {
+          if (!mongoose.isValidObjectId(recipeId)) return;
+          if (!totals.has(recipeId)) totals.set(recipeId, {});
+          totals.get(recipeId)[events[index]] = Number(count);
+        });
+      });
+      
+      if (totals.size > 0) {
+        const date = startOfDay(day);
+        await RecipeStats.bulkWrite([...totals.entries()].map(([recipeId, values]) => ({
+          updateOne: {
+            filter: { recipe: recipeId, date },
+            update: { $set: values },
+            upsert: true
+          }
+        })), { ordered: false });
+        statsWritten += totals.size;
+      }
+    }
+    
+    const top = this.rankScores(await this.getScores('7d', now), TRENDING_RANK_LIMIT);
+    const topIds = top.map(([recipeId]) => recipeId);
+    const updatedAt = new Date(now);
+    
+    // Activity isn't an edit, so updatedAt (and the recipe's ETag) stays
+    await Recipe.updateMany(
+      { 'trending.rank': { $exists: true }, _id: { $nin: topIds } },
+      { $unset: { trending: '' } },
+      { timestamps: false }
+    );
+    
+    if (top.length > 0) {
+      await Recipe.bulkWrite(top.map(([recipeId, score], index) => ({
+        updateOne: {
+          filter: { _id: recipeId },
+          update: { $set: { trending: { score: parseFloat(score.toFixed(2)), rank: index + 1, updatedAt } } },
+          timestamps: false
+        }
+      })), { ordered: false });
+    }
+    
+    logger.info(`Trending rollup wrote ${statsWritten} daily stats and ${top.length} trending recipes`);
+    
+    return { stats: statsWritten, trending: top.length };
+  }
+}
+
+module.exports = new TrendingService();
\ No newline at end of file
@@ -0,0 +1,115 @@
+// src/services/viewCounter.service.js
+const crypto = require('crypto');
+const Recipe = require('../models/recipe.model');
+const cacheService = require('./cache.service');
+const trendingService = require('./trending.service');
+const logger = require('../utils/logger');
+
+// A viewer's repeat visits within this many seconds count once
+const VIEW_DEDUP_WINDOW = parseInt(process.env.VIEW_DEDUP_WINDOW_SECONDS) || 30 * 60;
+
+// Crawlers, link previews and HTTP libraries. Requests without a
+// user-agent are treated as bots too.
+const BOT_USER_AGENT = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'scrap', 'preview', 'facebookexternalhit',
+  'whatsapp', 'telegram', 'embedly', 'lighthouse', 'headless', 'phantomjs',
+  'curl', 'wget', 'python-requests', 'axios', 'node-fetch', 'go-http-client',
+  'java/', 'okhttp', 'postman'
+].join('|'), 'i');
+
+// Views not yet written to Mongo: one field per recipe. A flush renames
+// the hash first so views counted meanwhile go into a fresh one, and
+// stores its id in it (not a recipe id) to mark the recipes it wrote.
+const PENDING_VIEWS_KEY = 'views:pending';
+const FLUSHING_VIEWS_KEY = 'views:flushing';
+const FLUSH_ID_FIELD = 'flush';
+const FLUSH_BATCH_SIZE = 500;
+
+class ViewCounterService {
+  isBot(userAgent) {
+    return !userAgent || BOT_USER_AGENT.test(userAgent);
+  }
+  
+  // Signed-in users are counted per account, anonymous visitors per IP
+  // and user-agent
+  viewerId({ user, ip, userAgent }) {
+    if (user) {
+      return `u:${user.id}`;
+    }
+    
+    return `a:${crypto.createHash('sha1').update(`${ip}|${userAgent}`).digest('hex')}`;
+  }
+  
+  // Count a view unless it's a bot or the viewer was counted within the
+  // window. Returns whether it counted.
+  async recordView(recipeId, viewer) {
+    if (this.isBot(viewer.userAgent)) {
+      return false;
+    }
+    
+    const firstView = await cacheService.setIfAbsent(
+      `views:seen:${recipeId}:${this.viewerId(viewer)}`,
+      '1',
+      VIEW_DEDUP_WINDOW
+    );
+    
+    if (!firstView) {
+      return false;
+    }
+    
+    await cacheService.hincrby(PENDING_VIEWS_KEY, String(recipeId));
+    await trendingService.record(recipeId, 'views');
+    
+    return true;
+  }
+  
+  // Add buffered views to recipe.views. A flush that failed part way is
+  // finished before new views are taken, and every recipe it wrote is
+  // marked with its id, so finishing it skips those: no view is written
+  // twice.
+  async flush() {
+    if (!(await cacheService.exists(FLUSHING_VIEWS_KEY))) {
+      if (!(await cacheService.exists(PENDING_VIEWS_KEY))) {
+        return { recipes: 0, views: 0 };
+      }
+      
+      if (!(await cacheService.rename(PENDING_VIEWS_KEY, FLUSHING_VIEWS_KEY))) {
+        throw new Error('Could not take the pending views');
+      }
+    }
+    
+    const { [FLUSH_ID_FIELD]: storedId, ...pending } = await cacheService.hgetall(FLUSHING_VIEWS_KEY);
+    const flushId = storedId || crypto.randomBytes(8).toString('hex');
+    
+    // Stored before anything is written, so a retry marks with the same id
+    if (!storedId && !(await cacheService.hset(FLUSHING_VIEWS_KEY, FLUSH_ID_FIELD, flushId))) {
+      throw new Error('Could not start the view flush');
+    }
+    
+    const counts = Object.entries(pending)
+      .map(([recipeId, count]) => [recipeId, parseInt(count)])
+      .filter(([, count]) => count > 0);
+    
+    for (let start = 0; start < counts.length; start += FLUSH_BATCH_SIZE) {
+      const batch = counts.slice(start, start + FLUSH_BATCH_SIZE);
+      
+      // Views aren't edits, so updatedAt (and the recipe's ETag) stays
+      await Recipe.bulkWrite(batch.map(([recipeId, count]) => ({
+        updateOne: {
+          filter: { _id: recipeId, viewFlush: { $ne: flushId } },
+          update: { $inc: { views: count }, $set: { viewFlush: flushId } },
+          timestamps: false
+        }
+      })));
+    }
+    
+    await cacheService.del(FLUSHING_VIEWS_KEY);
+    
+    const views = counts.reduce((sum, [, count]) => sum + count, 0);
+    logger.info(`Flushed ${views} views for ${counts.length} recipes`);
+    
+    return { recipes: counts.length, views };
+  }
+}
+
+module.exports = new ViewCounterService();
\ No newline at end of file
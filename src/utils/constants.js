@@ -0,0 +1,71 @@
+// src/utils/constants.js
+
+// Recipe moderation workflow: the statuses a recipe may move to from each status
+const RECIPE_STATUS_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['in_review'],
+  in_review: ['approved', 'rejected'],
+  approved: ['published'],
+  rejected: ['submitted'],
+  published: []
+};
+
+// Regions of Ghana, for recipe origins and market prices
+const GHANA_REGIONS = [
+  'greater_accra',
+  'ashanti',
+  'western',
+  'central',
+  'eastern',
+  'volta',
+  'northern',
+  'upper_east',
+  'upper_west',
+  'brong_ahafo',
+  'oti',
+  'bono_east',
+  'ahafo',
+  'western_north',
+  'north_east',
+  'savannah'
+];
+
+// Fields only the moderation workflow (and forking) may change
+const RECIPE_WORKFLOW_FIELDS = [
+  'status',
+  'published',
+  'publishedAt',
+  'moderation',
+  'visibility',
+  'forkedFrom',
+  'lineage',
+  'forkCount'
+];
+
+// Fields derived from the ingredients on save, never taken from input
+const RECIPE_DERIVED_FIELDS = ['allergens', 'dietaryFlags'];
+
+// Content users can report, and why
+const REPORT_TARGET_TYPES = ['recipe', 'review', 'user'];
+const REPORT_REASONS = [
+  'offensive',
+  'harassment',
+  'spam',
+  'stolen_content',
+  'dangerous',
+  'misinformation',
+  'other'
+];
+
+// Moderation state of reportable content. Removed content can't be restored.
+const CONTENT_VISIBILITY = ['visible', 'hidden', 'removed'];
+
+module.exports = {
+  GHANA_REGIONS,
+  RECIPE_STATUS_TRANSITIONS,
+  RECIPE_WORKFLOW_FIELDS,
+  RECIPE_DERIVED_FIELDS,
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  CONTENT_VISIBILITY
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+// src/utils/csv.js
+// Minimal RFC 4180 CSV reader for spreadsheet exports: quoted fields,
+// doubled quotes, and line breaks inside quotes.
+
+// Rows of fields
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Spreadsheets often end with blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// One object per data row, keyed by the trimmed header names
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  
+  const columns = header.map(name => name.trim());
+  
+  return rows.map(fields => columns.reduce((record, column, index) => {
+    if (column) {
+      record[column] = (fields[index] || '').trim();
+    }
+    return record;
+  }, {}));
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+// src/utils/cursor.js
+// Opaque pagination cursors. Clients pass them back unchanged; the
+// payload is only base64url JSON, so never put anything secret in it.
+
+const encodeCursor = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// The payload, or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+// src/utils/dietary.js
+// Derives allergens and suitable diets from ingredient names, and turns a
+// user's allergies and dietary preferences into recipe query filters.
+const crypto = require('crypto');
+const { ALLERGENS, ALLERGY_ALIASES, DIETS } = require('../data/dietary');
+const { normalizeIngredientName, resolveIngredientKey } = require('./ingredients');
+const { escapeRegex } = require('./helpers');
+
+const wordPattern = terms => (terms.length > 0
+  ? new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\b`)
+  : null);
+
+const compileGroup = ({ terms = [], except = [] }) => ({
+  pattern: wordPattern(terms),
+  except: wordPattern(except)
+});
+
+const ALLERGEN_PATTERNS = Object.keys(ALLERGENS).reduce((patterns, allergen) => {
+  patterns[allergen] = compileGroup(ALLERGENS[allergen]);
+  return patterns;
+}, {});
+
+const DIET_PATTERNS = Object.keys(DIETS).reduce((patterns, diet) => {
+  patterns[diet] = compileGroup(DIETS[diet]);
+  return patterns;
+}, {});
+
+const ALLERGEN_GROUPS = Object.keys(ALLERGENS);
+const DIET_NAMES = Object.keys(DIETS);
+
+// The normalized name plus the canonical key, so "peanuts" and
+// "groundnut paste" are both checked as written and as resolved
+const namesFor = (name) => {
+  const names = [normalizeIngredientName(name)];
+  const key = resolveIngredientKey(name);
+  
+  if (key) {
+    names.push(key.replace(/_/g, ' '));
+  }
+  
+  return names.filter(Boolean);
+};
+
+// An except phrase in any of the names wins: "coconut milk" resolves to
+// the key "milk" but is still not dairy
+const matchesGroup = (names, { pattern, except }) =>
+  !!pattern && names.some(name => pattern.test(name)) && !(except && names.some(name => except.test(name)));
+
+// Allergen groups of one ingredient
+const getIngredientAllergens = (name) => {
+  const names = namesFor(name);
+  return ALLERGEN_GROUPS.filter(allergen => matchesGroup(names, ALLERGEN_PATTERNS[allergen]));
+};
+
+// Allergens in a list of ingredients and the diets the list suits.
+// Optional ingredients count too: a cook may not leave them out.
+const classifyIngredients = (ingredients = []) => {
+  const allergens = new Set();
+  const unsuitable = new Set();
+  
+  ingredients.forEach((ingredient) => {
+    const names = namesFor(ingredient.item);
+    
+    ALLERGEN_GROUPS.forEach((allergen) => {
+      if (matchesGroup(names, ALLERGEN_PATTERNS[allergen])) {
+        allergens.add(allergen);
+      }
+    });
+    
+    DIET_NAMES.forEach((diet) => {
+      if (matchesGroup(names, DIET_PATTERNS[diet])) {
+        unsuitable.add(diet);
+      }
+    });
+  });
+  
+  DIET_NAMES.forEach((diet) => {
+    if (DIETS[diet].allergens.some(allergen => allergens.has(allergen))) {
+      unsuitable.add(diet);
+    }
+  });
+  
+  return {
+    allergens: [...allergens].sort(),
+    dietaryFlags: DIET_NAMES.filter(diet => !unsuitable.has(diet))
+  };
+};
+
+// Map free-text allergies to allergen groups. Allergies that aren't a
+// known group ("mango") are kept as ingredient names to exclude.
+const resolveAllergies = (allergies = []) => {
+  const groups = new Set();
+  const ingredients = [];
+  
+  allergies.forEach((allergy) => {
+    const text = String(allergy || '').trim().toLowerCase();
+    if (!text) return;
+    
+    if (ALLERGEN_GROUPS.includes(text)) {
+      groups.add(text);
+    } else if (ALLERGY_ALIASES[text]) {
+      ALLERGY_ALIASES[text].forEach(group => groups.add(group));
+    } else {
+      const found = getIngredientAllergens(text);
+      
+      if (found.length > 0) {
+        found.forEach(group => groups.add(group));
+      } else {
+        ingredients.push(normalizeIngredientName(text) || text);
+      }
+    }
+  });
+  
+  return { allergens: [...groups].sort(), ingredients };
+};
+
+// Query clause excluding recipes that conflict with a user's allergies or
+// don't suit their diets, or null when the user has no restrictions
+const buildPreferenceQuery = (preferences) => {
+  if (!preferences) return null;
+  
+  const { allergens, ingredients } = resolveAllergies(preferences.allergies);
+  const diets = (preferences.dietary || []).filter(diet => DIET_NAMES.includes(diet));
+  const clause = {};
+  
+  // Recipes never classified have no allergens field and aren't known
+  // to be safe, so they are left out rather than matched by $nin
+  if (allergens.length > 0) {
+    clause.allergens = { $exists: true, $nin: allergens };
+  }
+  
+  if (ingredients.length > 0) {
+    clause['ingredients.item'] = { $not: new RegExp(ingredients.map(escapeRegex).join('|'), 'i') };
+  }
+  
+  if (diets.length > 0) {
+    clause.dietaryFlags = { $all: diets };
+  }
+  
+  return Object.keys(clause).length > 0 ? clause : null;
+};
+
+// Short stable id of a user's restrictions, for cache keys
+const preferenceFingerprint = (preferences) => {
+  const clause = buildPreferenceQuery(preferences);
+  if (!clause) return 'none';
+  
+  const { allergens, ingredients } = resolveAllergies(preferences.allergies);
+  const diets = [...(preferences.dietary || [])].sort();
+  
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify({ allergens, ingredients: [...ingredients].sort(), diets }))
+    .digest('hex')
+    .slice(0, 12);
+};
+
+module.exports = {
+  ALLERGEN_GROUPS,
+  DIET_NAMES,
+  getIngredientAllergens,
+  classifyIngredients,
+  resolveAllergies,
+  buildPreferenceQuery,
+  preferenceFingerprint
+};
\ No newline at end of file
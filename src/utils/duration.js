@@ -0,0 +1,50 @@
+// src/utils/duration.js
+// ISO 8601 durations (PT1H30M) and readable durations for recipe times,
+// which we store in minutes.
+
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+// 90 -> PT1H30M
+const toIsoDuration = (minutes) => {
+  if (typeof minutes !== 'number' || minutes < 0) return undefined;
+  
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  
+  if (total === 0) return 'PT0M';
+  
+  return `PT${hours > 0 ? `${hours}H` : ''}${rest > 0 ? `${rest}M` : ''}`;
+};
+
+// PT1H30M -> 90. Returns null for anything that isn't a duration.
+const parseIsoDuration = (value) => {
+  const match = DURATION_PATTERN.exec(String(value || '').trim());
+  
+  if (!match || match.slice(1).every(part => part === undefined)) {
+    return null;
+  }
+  
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part || 0));
+  
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+};
+
+// 75 -> "1 h 15 min"
+const formatDuration = (minutes) => {
+  if (typeof minutes !== 'number' || minutes <= 0) return undefined;
+  
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  
+  return [hours > 0 ? `${hours} h` : '', rest > 0 ? `${rest} min` : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+module.exports = {
+  toIsoDuration,
+  parseIsoDuration,
+  formatDuration
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// src/utils/helpers.js
+
+// Escape text for use as a literal inside a regular expression
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Profiles hidden by moderators show without their name and avatar.
+// Used by the user model's toJSON and by lean reads that populate users,
+// which skip it. Anything but a populated profile is returned unchanged.
+const maskHiddenProfile = (profile) => {
+  if (profile && profile.visibility && profile.visibility !== 'visible') {
+    profile.name = 'Hidden user';
+    profile.avatar = null;
+    profile.avatarUrl = null;
+  }
+  return profile;
+};
+
+module.exports = {
+  escapeRegex,
+  maskHiddenProfile
+};
\ No newline at end of file
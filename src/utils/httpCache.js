@@ -0,0 +1,56 @@
+// src/utils/httpCache.js
+// Validators for conditional GETs (If-None-Match / If-Modified-Since) on
+// recipe responses.
+const crypto = require('crypto');
+
+const timeOf = value => (value ? new Date(value).getTime() || 0 : 0);
+
+// Weak ETag from the recipes' ids and updatedAt, in order, plus whatever
+// else shapes the response (access tier, language, ...). Last-Modified is
+// the newest updatedAt.
+const recipeValidators = (recipes, variant = []) => {
+  const list = [].concat(recipes).filter(Boolean);
+  const stamps = list.map(recipe => `${recipe._id}@${timeOf(recipe.updatedAt)}`);
+  const newest = Math.max(0, ...list.map(recipe => timeOf(recipe.updatedAt)));
+  
+  const hash = crypto
+    .createHash('sha1')
+    .update([...variant, ...stamps].join('|'))
+    .digest('base64url');
+  
+  return {
+    etag: `W/"${hash}"`,
+    lastModified: newest > 0 ? new Date(newest) : null
+  };
+};
+
+// Validators of a list response: the ETag only. The newest updatedAt
+// among the items doesn't move when a recipe leaves the list (deleted,
+// unpublished, hidden) or the caller's tier changes, so a Last-Modified
+// would answer If-Modified-Since with a wrong 304.
+const recipeListValidators = (recipes, variant = []) => ({
+  etag: recipeValidators(recipes, variant).etag,
+  lastModified: null
+});
+
+// Set the validators on the response and tell whether the client's copy is
+// still current, in which case the caller answers 304 without a body.
+// Responses differ per user, so only private caches may keep them.
+const isFresh = (req, res, { etag, lastModified }) => {
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.vary('Authorization');
+  
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  
+  // Express compares these headers with the request's conditional ones
+  return req.fresh;
+};
+
+module.exports = {
+  recipeValidators,
+  recipeListValidators,
+  isFresh
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+// src/utils/i18n.js
+// Language negotiation and localization of multilingual recipe content.
+
+const SUPPORTED_LANGUAGES = ['en', 'tw', 'ee', 'ga'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Requesting this "language" returns every translation untouched
+const ALL_LANGUAGES = 'all';
+
+// Other tags browsers and devices send for our languages
+const LANGUAGE_ALIASES = {
+  ak: 'tw', // Akan
+  twi: 'tw',
+  ewe: 'ee',
+  gaa: 'ga' // ISO 639-3 code for Ga
+};
+
+// Languages that translate the English original
+const TRANSLATION_LANGUAGES = SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE);
+
+// Recipe fields stored as { en, tw, ee, ga }
+const LOCALIZED_FIELDS = ['name', 'description'];
+
+// Text inside ingredients and instructions. English lives in the field
+// itself, other languages under the entry's translations[language].
+const LOCALIZED_ENTRY_FIELDS = {
+  ingredients: ['item', 'notes'],
+  instructions: ['description', 'tips']
+};
+
+const hasText = value => (Array.isArray(value) ? value.length > 0 : !!value);
+
+const normalizeLanguage = (tag) => {
+  if (!tag) return null;
+  
+  const primary = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+  const language = LANGUAGE_ALIASES[primary] || primary;
+  
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+};
+
+// Supported languages from an Accept-Language header, best match first
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+  
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      
+      return { language: normalizeLanguage(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.language && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.language);
+};
+
+// Pick the response language: ?lang=, then Accept-Language, then the
+// user's saved preference, then English
+const resolveLanguage = ({ query, header, user } = {}) => {
+  if (query === ALL_LANGUAGES) {
+    return { language: ALL_LANGUAGES, source: 'query' };
+  }
+  
+  const fromQuery = normalizeLanguage(query);
+  if (fromQuery) {
+    return { language: fromQuery, source: 'query' };
+  }
+  
+  const [fromHeader] = parseAcceptLanguage(header);
+  if (fromHeader) {
+    return { language: fromHeader, source: 'header' };
+  }
+  
+  const fromUser = user && user.preferences && normalizeLanguage(user.preferences.language);
+  if (fromUser) {
+    return { language: fromUser, source: 'user' };
+  }
+  
+  return { language: DEFAULT_LANGUAGE, source: 'default' };
+};
+
+// Pick one translation of a { en, tw, ee, ga } value, recording the path
+// in fallbacks when English had to stand in
+const pickTranslation = (value, language, path, fallbacks) => {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  if (value[language]) {
+    return value[language];
+  }
+  
+  if (language !== DEFAULT_LANGUAGE) {
+    fallbacks.push(path);
+  }
+  
+  return value[DEFAULT_LANGUAGE];
+};
+
+// Localize the ingredients or instructions of a recipe, recording paths
+// such as ingredients.2.item that fell back to English
+const localizeEntries = (entries, collection, language, fallbacks) =>
+  (entries || []).map((entry, index) => {
+    const { translations, ...localized } = entry;
+    const translation = (translations && translations[language]) || {};
+    
+    if (language === DEFAULT_LANGUAGE) {
+      return localized;
+    }
+    
+    LOCALIZED_ENTRY_FIELDS[collection].forEach((field) => {
+      if (!hasText(entry[field])) return;
+      
+      if (hasText(translation[field])) {
+        localized[field] = translation[field];
+      } else {
+        fallbacks.push(`${collection}.${index}.${field}`);
+      }
+    });
+    
+    return localized;
+  });
+
+// Replace multilingual fields with a single language and report which
+// fields fell back to English
+const localizeRecipe = (recipe, language) => {
+  const data = typeof recipe.toObject === 'function' ? recipe.toObject() : { ...recipe };
+  const fallbacks = [];
+  
+  LOCALIZED_FIELDS.forEach((field) => {
+    data[field] = pickTranslation(data[field], language, field, fallbacks);
+  });
+  
+  Object.keys(LOCALIZED_ENTRY_FIELDS).forEach((collection) => {
+    if (data[collection]) {
+      data[collection] = localizeEntries(data[collection], collection, language, fallbacks);
+    }
+  });
+  
+  data.localization = { language, fallbacks };
+  
+  return data;
+};
+
+const localizeRecipes = (recipes, language) =>
+  recipes.map(recipe => localizeRecipe(recipe, language));
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  ALL_LANGUAGES,
+  TRANSLATION_LANGUAGES,
+  LOCALIZED_FIELDS,
+  LOCALIZED_ENTRY_FIELDS,
+  hasText,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  pickTranslation,
+  localizeRecipe,
+  localizeRecipes
+};
\ No newline at end of file
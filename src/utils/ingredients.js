@@ -0,0 +1,128 @@
+// src/utils/ingredients.js
+// Resolves free-text ingredient names to the canonical keys used by the
+// reference data in src/data/ingredients.js and the market price feed.
+const INGREDIENTS = require('../data/ingredients');
+
+// Words that describe preparation rather than the ingredient itself
+const DESCRIPTORS = [
+  'fresh', 'ripe', 'chopped', 'sliced', 'diced', 'minced', 'grated', 'ground',
+  'blended', 'whole', 'large', 'medium', 'small', 'peeled', 'washed', 'boneless',
+  'skinless', 'raw', 'cooked', 'to', 'taste', 'of', 'and', 'finely', 'roughly'
+];
+
+const toKey = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s_-]/g, ' ')
+  .trim()
+  .replace(/[\s-]+/g, '_');
+
+// alias key -> canonical key
+const ALIAS_INDEX = Object.keys(INGREDIENTS).reduce((index, key) => {
+  index[key] = key;
+  INGREDIENTS[key].aliases.forEach((alias) => {
+    index[toKey(alias)] = key;
+  });
+  return index;
+}, {});
+
+// Longest aliases first so "smoked_herring" wins over "herring"
+const ALIASES_BY_LENGTH = Object.keys(ALIAS_INDEX).sort((a, b) => b.length - a.length);
+
+const singularize = (word) => {
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const lookup = (key) => {
+  if (ALIAS_INDEX[key]) return ALIAS_INDEX[key];
+  
+  const singular = key.split('_').map(singularize).join('_');
+  if (ALIAS_INDEX[singular]) return ALIAS_INDEX[singular];
+  if (ALIAS_INDEX[`${singular}s`]) return ALIAS_INDEX[`${singular}s`];
+  
+  return null;
+};
+
+// Normalize a free-text ingredient name into comparable words:
+// lowercase, no punctuation, no preparation descriptors, singular.
+const normalizeIngredientName = (name) => toKey(name)
+  .split('_')
+  .filter(word => word && !DESCRIPTORS.includes(word))
+  .map(singularize)
+  .join(' ');
+
+// Resolve an ingredient name to its canonical key, or null if unknown
+const resolveIngredientKey = (name) => {
+  const key = toKey(name);
+  if (!key) return null;
+  
+  const direct = lookup(key);
+  if (direct) return direct;
+  
+  const stripped = key
+    .split('_')
+    .filter(word => !DESCRIPTORS.includes(word))
+    .join('_');
+  const match = lookup(stripped);
+  if (match) return match;
+  
+  // Fall back to an alias appearing as whole words inside the name
+  const padded = `_${stripped}_`;
+  const contained = ALIASES_BY_LENGTH.find(alias => padded.includes(`_${alias}_`));
+  
+  return contained ? ALIAS_INDEX[contained] : null;
+};
+
+const getIngredientProfile = (name) => {
+  const key = resolveIngredientKey(name);
+  return key ? { key, ...INGREDIENTS[key] } : null;
+};
+
+// Every way an ingredient may be written: the name itself plus, for known
+// ingredients, the canonical name and its aliases
+const getSearchTerms = (name) => {
+  const terms = [normalizeIngredientName(name)];
+  const profile = getIngredientProfile(name);
+  
+  if (profile) {
+    terms.push(profile.key.replace(/_/g, ' '), ...profile.aliases.map(normalizeIngredientName));
+  }
+  
+  return [...new Set(terms.filter(Boolean))];
+};
+
+// Build a predicate telling whether an ingredient name is one of the given
+// items. Names match when they resolve to the same known ingredient, or
+// when all the words of one appear in the other ("pepper" matches
+// "scotch bonnet pepper").
+const createIngredientMatcher = (items) => {
+  const entries = items.map(item => ({
+    key: resolveIngredientKey(item),
+    words: normalizeIngredientName(item).split(' ').filter(Boolean)
+  })).filter(entry => entry.words.length > 0);
+  
+  const containsAll = (haystack, needles) => needles.every(word => haystack.includes(word));
+  
+  return (name) => {
+    const key = resolveIngredientKey(name);
+    const words = normalizeIngredientName(name).split(' ').filter(Boolean);
+    
+    if (words.length === 0) return false;
+    
+    return entries.some(entry =>
+      (key && entry.key === key)
+      || containsAll(words, entry.words)
+      || containsAll(entry.words, words)
+    );
+  };
+};
+
+module.exports = {
+  normalizeIngredientName,
+  resolveIngredientKey,
+  getIngredientProfile,
+  getSearchTerms,
+  createIngredientMatcher
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+// src/utils/nutrition.js
+// Per-serving nutrition computed from ingredient quantities and the food
+// composition table in src/data/foodComposition.js.
+const { FOOD_COMPOSITION, MICRONUTRIENTS, DAILY_VALUES } = require('../data/foodComposition');
+const { getIngredientProfile } = require('./ingredients');
+const { convertIngredient } = require('./units');
+
+const NUTRITION_FIELDS = [
+  'calories',
+  'protein',
+  'carbs',
+  'fat',
+  'fiber',
+  'sugar',
+  'sodium',
+  'cholesterol'
+];
+
+// Where a nutrition value came from
+const NUTRITION_SOURCES = ['computed', 'manual'];
+
+// Whole numbers for kcal and mg, one decimal for grams and micronutrients
+const WHOLE_NUMBER_FIELDS = ['calories', 'sodium', 'cholesterol'];
+
+const roundNutrient = (field, value) => (WHOLE_NUMBER_FIELDS.includes(field)
+  ? Math.round(value)
+  : parseFloat(value.toFixed(1)));
+
+const percentDailyValue = (nutrient, amount) => (DAILY_VALUES[nutrient] && typeof amount === 'number'
+  ? Math.round((amount / DAILY_VALUES[nutrient]) * 100)
+  : undefined);
+
+// Micronutrient key for a nutrition.vitamins entry name ("Vitamin A" -> vitaminA)
+const micronutrientKey = name =>
+  Object.keys(MICRONUTRIENTS).find(key => MICRONUTRIENTS[key].name.toLowerCase() === String(name).toLowerCase());
+
+// Grams of an ingredient and its composition, or null when the ingredient
+// isn't in the table or its quantity can't be weighed
+const weighIngredient = (ingredient) => {
+  const profile = getIngredientProfile(ingredient.item);
+  const composition = profile && FOOD_COMPOSITION[profile.key];
+  
+  if (!composition || typeof ingredient.amount !== 'number') {
+    return null;
+  }
+  
+  const grams = convertIngredient(ingredient.amount, ingredient.unit, 'g', profile);
+  return grams === null ? null : { grams, composition };
+};
+
+// Nutrition per serving of a list of ingredients. Optional ingredients are
+// left out. Returns null when no ingredient could be measured, otherwise
+// the values with the micronutrients as vitamins entries and the
+// ingredients that couldn't be counted.
+const calculateNutrition = (ingredients = [], servings = 1) => {
+  const nutrients = [...NUTRITION_FIELDS, ...Object.keys(MICRONUTRIENTS)];
+  const totals = nutrients.reduce((sums, nutrient) => ({ ...sums, [nutrient]: 0 }), {});
+  const unmatched = [];
+  let measured = 0;
+  
+  ingredients
+    .filter(ingredient => !ingredient.optional)
+    .forEach((ingredient) => {
+      const weighed = weighIngredient(ingredient);
+      
+      if (!weighed) {
+        unmatched.push(ingredient.item);
+        return;
+      }
+      
+      measured += 1;
+      nutrients.forEach((nutrient) => {
+        totals[nutrient] += ((weighed.composition[nutrient] || 0) * weighed.grams) / 100;
+      });
+    });
+  
+  if (measured === 0) {
+    return null;
+  }
+  
+  const portions = servings > 0 ? servings : 1;
+  const values = NUTRITION_FIELDS.reduce((perServing, field) => {
+    perServing[field] = roundNutrient(field, totals[field] / portions);
+    return perServing;
+  }, {});
+  
+  const vitamins = Object.keys(MICRONUTRIENTS).map((key) => {
+    const amount = roundNutrient(key, totals[key] / portions);
+    
+    return {
+      name: MICRONUTRIENTS[key].name,
+      amount,
+      unit: MICRONUTRIENTS[key].unit,
+      percentDailyValue: percentDailyValue(key, amount)
+    };
+  });
+  
+  return { values, vitamins, unmatched };
+};
+
+module.exports = {
+  NUTRITION_FIELDS,
+  NUTRITION_SOURCES,
+  percentDailyValue,
+  micronutrientKey,
+  calculateNutrition
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+// src/utils/templates.js
+// Handlebars templates under src/templates, shared by the email and recipe
+// rendering services.
+const handlebars = require('handlebars');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEMPLATE_ROOT = path.join(__dirname, '../templates');
+
+// Compile the named .hbs files of a template folder, keyed by name.
+// Options go to handlebars.compile, e.g. { noEscape: true } for output
+// that isn't HTML.
+const loadTemplates = async (folder, names, options = {}) => {
+  const templates = {};
+  
+  for (const name of names) {
+    const source = await fs.readFile(
+      path.join(TEMPLATE_ROOT, folder, `${name}.hbs`),
+      'utf8'
+    );
+    templates[name] = handlebars.compile(source, options);
+  }
+  
+  return templates;
+};
+
+module.exports = {
+  TEMPLATE_ROOT,
+  loadTemplates
+};
\ No newline at end of file
@@ -0,0 +1,304 @@
+// src/utils/units.js
+// Unit conversion for recipe quantities.
+// Every unit belongs to a dimension and converts to that dimension's base
+// unit: grams for mass, millilitres for volume. Count-like units (piece,
+// bunch, tuber) only convert to themselves unless an ingredient profile
+// supplies their weight.
+
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  // Imperial weights appear in imported recipes
+  oz: { dimension: 'mass', factor: 28.35 },
+  lb: { dimension: 'mass', factor: 453.6 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  tsp: { dimension: 'volume', factor: 4.93 },
+  tbsp: { dimension: 'volume', factor: 14.79 },
+  cup: { dimension: 'volume', factor: 236.6 },
+  // Local measures - approximate volumes of the containers sold in markets
+  american_tin: { dimension: 'volume', factor: 360 },
+  margarine_tin: { dimension: 'volume', factor: 1450 },
+  olonka: { dimension: 'volume', factor: 2900 },
+  piece: { dimension: 'piece', factor: 1 },
+  bunch: { dimension: 'bunch', factor: 1 },
+  tuber: { dimension: 'tuber', factor: 1 }
+};
+
+const UNIT_ALIASES = {
+  gram: 'g',
+  grams: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  kilo: 'kg',
+  ounce: 'oz',
+  ounces: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  lbs: 'lb',
+  millilitre: 'ml',
+  milliliter: 'ml',
+  millilitres: 'ml',
+  milliliters: 'ml',
+  litre: 'l',
+  liter: 'l',
+  litres: 'l',
+  liters: 'l',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  tbs: 'tbsp',
+  tbsps: 'tbsp',
+  tsps: 'tsp',
+  cups: 'cup',
+  pieces: 'piece',
+  pcs: 'piece',
+  bunches: 'bunch',
+  tubers: 'tuber'
+};
+
+// Words that count items in ingredient lines ("2 cloves garlic")
+const COUNT_WORDS = ['clove', 'cloves', 'slice', 'slices', 'stalk', 'stalks',
+  'head', 'heads', 'tin', 'tins', 'can', 'cans', 'sachet', 'sachets'];
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2',
+  '⅓': '1/3',
+  '⅔': '2/3',
+  '¼': '1/4',
+  '¾': '3/4',
+  '⅛': '1/8'
+};
+
+// Target units per measurement system, largest first
+const SYSTEM_UNITS = {
+  metric: {
+    mass: ['kg', 'g'],
+    volume: ['l', 'ml']
+  },
+  local: {
+    mass: ['kg', 'g'],
+    volume: ['olonka', 'margarine_tin', 'american_tin', 'cup', 'tbsp', 'tsp']
+  }
+};
+
+const MEASUREMENT_SYSTEMS = Object.keys(SYSTEM_UNITS);
+
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  
+  const key = String(unit).trim().toLowerCase();
+  const normalized = UNIT_ALIASES[key] || key;
+  
+  return UNITS[normalized] ? normalized : null;
+};
+
+const getDimension = (unit) => {
+  const normalized = normalizeUnit(unit);
+  return normalized ? UNITS[normalized].dimension : null;
+};
+
+// Convert between two units of the same dimension. Returns null when the
+// units are unknown or measure different things.
+const convert = (amount, from, to) => {
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  
+  if (!fromUnit || !toUnit) return null;
+  if (UNITS[fromUnit].dimension !== UNITS[toUnit].dimension) return null;
+  
+  return (amount * UNITS[fromUnit].factor) / UNITS[toUnit].factor;
+};
+
+// Weight in grams of an amount, using the ingredient profile for volume
+// (density) and count (weights) units. Returns null when not derivable.
+const toGrams = (amount, unit, profile) => {
+  const { dimension, factor } = UNITS[unit];
+  
+  if (dimension === 'mass') return amount * factor;
+  if (!profile) return null;
+  if (dimension === 'volume') {
+    return profile.density ? amount * factor * profile.density : null;
+  }
+  
+  const weight = profile.weights && profile.weights[dimension];
+  return weight ? amount * weight : null;
+};
+
+const fromGrams = (grams, unit, profile) => {
+  const { dimension, factor } = UNITS[unit];
+  
+  if (dimension === 'mass') return grams / factor;
+  if (!profile) return null;
+  if (dimension === 'volume') {
+    return profile.density ? grams / profile.density / factor : null;
+  }
+  
+  const weight = profile.weights && profile.weights[dimension];
+  return weight ? grams / weight : null;
+};
+
+// Convert a quantity of a specific ingredient, crossing dimensions through
+// its density or per-item weight when needed. Returns null when no
+// conversion path exists.
+const convertIngredient = (amount, from, to, profile) => {
+  const direct = convert(amount, from, to);
+  if (direct !== null) return direct;
+  
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  if (!fromUnit || !toUnit) return null;
+  
+  const grams = toGrams(amount, fromUnit, profile);
+  return grams === null ? null : fromGrams(grams, toUnit, profile);
+};
+
+// Pick the largest unit of the system that keeps the amount at or above one.
+const toSystem = (amount, unit, system) => {
+  const normalized = normalizeUnit(unit);
+  const candidates = normalized && SYSTEM_UNITS[system]
+    ? SYSTEM_UNITS[system][UNITS[normalized].dimension]
+    : null;
+  
+  if (!candidates) {
+    return { amount, unit };
+  }
+  
+  const base = amount * UNITS[normalized].factor;
+  const target = candidates.find(candidate => base / UNITS[candidate].factor >= 1)
+    || candidates[candidates.length - 1];
+  
+  return {
+    amount: base / UNITS[target].factor,
+    unit: target
+  };
+};
+
+const roundToStep = (amount, step) => {
+  const rounded = Math.round(amount / step) * step;
+  // Never round a non-zero quantity away entirely
+  const value = rounded === 0 && amount > 0 ? step : rounded;
+  return parseFloat(value.toFixed(3));
+};
+
+// Round to quantities that can actually be measured in a kitchen:
+// whole grams and millilitres, quarter spoons and cups, half pieces.
+const roundKitchenQuantity = (amount, unit) => {
+  switch (normalizeUnit(unit)) {
+    case 'g':
+    case 'ml':
+      if (amount < 5) return roundToStep(amount, 0.5);
+      if (amount < 50) return roundToStep(amount, 1);
+      if (amount < 250) return roundToStep(amount, 5);
+      if (amount < 1000) return roundToStep(amount, 10);
+      return roundToStep(amount, 25);
+    case 'kg':
+    case 'l':
+      if (amount < 2) return roundToStep(amount, 0.05);
+      if (amount < 10) return roundToStep(amount, 0.1);
+      return roundToStep(amount, 0.5);
+    case 'tsp':
+      if (amount < 1) return roundToStep(amount, 0.125);
+      return roundToStep(amount, 0.25);
+    case 'tbsp':
+    case 'cup':
+    case 'american_tin':
+    case 'margarine_tin':
+    case 'olonka':
+      if (amount < 4) return roundToStep(amount, 0.25);
+      return roundToStep(amount, 0.5);
+    case 'piece':
+    case 'bunch':
+    case 'tuber':
+      if (amount < 10) return roundToStep(amount, 0.5);
+      return roundToStep(amount, 1);
+    default:
+      return parseFloat(amount.toFixed(2));
+  }
+};
+
+const parseQuantity = (text) => {
+  const [whole, fraction] = text.includes(' ') ? text.split(/\s+/) : [null, text];
+  const parsePart = (part) => {
+    if (!part) return 0;
+    if (!part.includes('/')) return parseFloat(part);
+    
+    const [numerator, denominator] = part.split('/').map(Number);
+    return denominator ? numerator / denominator : NaN;
+  };
+  
+  return parsePart(whole) + parsePart(fraction);
+};
+
+// Fractions first so "1/2" isn't read as 1
+const QUANTITY = '\\d+\\/\\d+|\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+)?';
+const LINE_PATTERN = new RegExp(`^(${QUANTITY})(?:\\s*(?:-|–|to)\\s*(${QUANTITY}))?\\s*(.*)$`, 'i');
+
+// Split a free-text ingredient line such as "1 1/2 cups rice, washed" or
+// "250g tomatoes" into amount, unit, item and notes. amount and unit are
+// null when the line has no quantity ("salt to taste"); unit is null when
+// the quantity has no recognisable unit. Ranges ("2-3 onions") take the
+// lower bound and set range.
+const parseIngredientLine = (line) => {
+  let text = String(line || '').trim();
+  
+  Object.entries(UNICODE_FRACTIONS).forEach(([symbol, fraction]) => {
+    text = text.replace(new RegExp(`(\\d)?${symbol}`, 'g'), (match, digit) => (digit ? `${digit} ${fraction}` : fraction));
+  });
+  
+  // Notes live in brackets or after the first comma
+  const notes = [];
+  text = text.replace(/\(([^)]*)\)/g, (match, note) => {
+    notes.push(note.trim());
+    return ' ';
+  });
+  
+  const comma = text.indexOf(',');
+  if (comma !== -1) {
+    notes.push(text.slice(comma + 1).trim());
+    text = text.slice(0, comma);
+  }
+  
+  const result = {
+    amount: null,
+    unit: null,
+    item: text.replace(/\s+/g, ' ').trim(),
+    notes: notes.filter(Boolean).join(', ') || undefined,
+    range: false
+  };
+  
+  const match = LINE_PATTERN.exec(result.item);
+  if (!match) {
+    return result;
+  }
+  
+  const amount = parseQuantity(match[1]);
+  if (!(amount >= 0)) {
+    return result;
+  }
+  
+  result.amount = amount;
+  result.range = !!match[2];
+  
+  const [word, ...rest] = match[3].split(' ');
+  const unitWord = word.toLowerCase().replace(/\.$/, '');
+  const unit = normalizeUnit(unitWord) || (COUNT_WORDS.includes(unitWord) ? 'piece' : null);
+  
+  result.unit = unit;
+  result.item = (unit ? rest.join(' ') : match[3]).replace(/^of\s+/i, '').trim();
+  
+  return result;
+};
+
+module.exports = {
+  UNITS,
+  MEASUREMENT_SYSTEMS,
+  normalizeUnit,
+  getDimension,
+  convert,
+  convertIngredient,
+  toSystem,
+  roundKitchenQuantity,
+  parseIngredientLine
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+// tests/models/recipe.model.test.js
+const Recipe = require('../../src/models/recipe.model');
+
+const fields = {
+  name: { en: 'Kontomire Stew' },
+  description: { en: 'Cocoyam leaves in palm oil' },
+  difficulty: 'easy',
+  prepTime: 15,
+  cookTime: 30,
+  author: '64b7f0c2a1b2c3d4e5f60718'
+};
+
+describe('Recipe model', () => {
+  beforeEach(() => {
+    jest.spyOn(Recipe.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Recipe.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Recipe, 'exists').mockResolvedValue(null);
+  });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  describe('published', () => {
+    it('is derived from the status on insert', async () => {
+      const draft = new Recipe({ ...fields, status: 'draft', published: true });
+      await draft.save();
+      
+      expect(draft.published).toBe(false);
+    });
+    
+    it('is left alone by edits that keep the status', async () => {
+      // Stored out of step, e.g. by a direct database write
+      const recipe = Recipe.hydrate({
+        _id: '64b7f0c2a1b2c3d4e5f60719',
+        ...fields,
+        status: 'published',
+        visibility: 'visible',
+        published: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      recipe.description.en = 'Cocoyam leaves and garden eggs in palm oil';
+      await recipe.save();
+      
+      expect(recipe.published).toBe(false);
+    });
+  });
+});
\ No newline at end of file
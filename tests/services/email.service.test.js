@@ -0,0 +1,65 @@
+// tests/services/email.service.test.js
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+// Only the templates under test exist in this tree
+jest.mock('../../src/utils/templates', () => {
+  const actual = jest.requireActual('../../src/utils/templates');
+  return {
+    ...actual,
+    loadTemplates: (folder, names, options) =>
+      actual.loadTemplates(folder, names.filter(name => name === 'recipeRejected'), options)
+  };
+});
+
+const mongoose = require('mongoose');
+const Recipe = require('../../src/models/recipe.model');
+const emailService = require('../../src/services/email.service');
+
+describe('emailService', () => {
+  let sent;
+  
+  beforeAll(() => emailService.loadTemplates());
+  
+  beforeEach(() => {
+    sent = [];
+    jest.spyOn(emailService.transporter, 'sendMail').mockImplementation(async (mail) => {
+      sent.push(mail);
+      return { messageId: 'test' };
+    });
+  });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  describe('sendRecipeRejectedEmail', () => {
+    it('renders the reviewer notes of the recipe', async () => {
+      const recipe = new Recipe({
+        name: { en: 'Red Red' },
+        moderation: {
+          notes: [
+            { author: new mongoose.Types.ObjectId(), note: 'Add the soaking time for the beans' },
+            { author: new mongoose.Types.ObjectId(), note: 'Photo is too dark' }
+          ]
+        }
+      });
+      
+      await emailService.sendRecipeRejectedEmail(
+        { name: 'Ama', email: 'ama@example.com' },
+        recipe,
+        'Missing steps',
+        recipe.moderation.notes
+      );
+      
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('ama@example.com');
+      expect(sent[0].html).toContain('Missing steps');
+      expect(sent[0].html).toContain('<li>Add the soaking time for the beans</li>');
+      expect(sent[0].html).toContain('<li>Photo is too dark</li>');
+    });
+    
+    it('leaves out the notes section without notes', async () => {
+      await emailService.sendRecipeRejectedEmail({ name: 'Ama', email: 'ama@example.com' }, new Recipe({ name: { en: 'Red Red' } }), 'Duplicate');
+      
+      expect(sent[0].html).not.toContain('Reviewer notes');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+// tests/services/fork.service.test.js
+const Recipe = require('../../src/models/recipe.model');
+const User = require('../../src/models/user.model');
+const revisionService = require('../../src/services/revision.service');
+const forkService = require('../../src/services/fork.service');
+
+const chef = (name, email) => new User({ name, email, password: 'secret123' });
+
+describe('forkService', () => {
+  // Stands in for the recipes collection and its unique slug index
+  let slugs;
+  
+  beforeEach(() => {
+    slugs = new Set();
+    
+    jest.spyOn(Recipe.collection, 'insertOne').mockImplementation(async (doc) => {
+      if (slugs.has(doc.slug)) {
+        throw Object.assign(new Error(`E11000 duplicate key error dup key: { slug: "${doc.slug}" }`), { code: 11000 });
+      }
+      slugs.add(doc.slug);
+      return { acknowledged: true, insertedId: doc._id };
+    });
+    jest.spyOn(Recipe, 'exists').mockImplementation(async ({ slug }) => (slugs.has(slug) ? { _id: 'taken' } : null));
+    jest.spyOn(Recipe, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(revisionService, 'record').mockResolvedValue(null);
+  });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  describe('fork', () => {
+    it('forks a recipe and then the fork, each with its own slug', async () => {
+      const ama = chef('Ama', 'ama@example.com');
+      const kofi = chef('Kofi', 'kofi@example.com');
+      const esi = chef('Esi', 'esi@example.com');
+      
+      const original = new Recipe({
+        name: { en: 'Jollof Rice' },
+        description: { en: 'Smoky party jollof' },
+        difficulty: 'medium',
+        prepTime: 20,
+        cookTime: 40,
+        premium: true,
+        author: ama
+      });
+      await original.save();
+      
+      const fork = await forkService.fork(original, { id: kofi.id });
+      
+      expect(fork.slug).not.toBe(original.slug);
+      expect(fork.slug).toMatch(/^jollof-rice-[0-9a-f]{6}$/);
+      expect(fork).toMatchObject({ status: 'draft', source: 'adapted', premium: true, attribution: 'Adapted from "Jollof Rice" by Ama' });
+      expect(fork.forkedFrom).toEqual(original._id);
+      expect(fork.lineage).toEqual([original._id]);
+      expect(Recipe.updateOne).toHaveBeenCalledWith({ _id: original._id }, { $inc: { forkCount: 1 } }, { timestamps: false });
+      
+      // The controller forks the parent with its author populated
+      fork.author = kofi;
+      const forkOfFork = await forkService.fork(fork, { id: esi.id });
+      
+      expect(new Set([original.slug, fork.slug, forkOfFork.slug]).size).toBe(3);
+      expect(forkOfFork.attribution).toBe('Adapted from "Jollof Rice" by Kofi');
+      expect(forkOfFork.author.toString()).toBe(esi.id);
+      expect(forkOfFork.forkedFrom).toEqual(fork._id);
+      expect(forkOfFork.lineage).toEqual([original._id, fork._id]);
+    });
+  });
+  
+  describe('fork with a concurrent fork', () => {
+    it('retries with the id suffix when the slug was taken after the check', async () => {
+      const original = new Recipe({
+        name: { en: 'Banku' },
+        description: { en: 'Fermented corn and cassava dough' },
+        difficulty: 'medium',
+        prepTime: 10,
+        cookTime: 30,
+        author: chef('Ama', 'ama@example.com')
+      });
+      await original.save();
+      
+      // The other fork's insert lands between this one's check and insert
+      Recipe.exists.mockResolvedValueOnce(null);
+      Recipe.collection.insertOne.mockImplementationOnce(async (doc) => {
+        expect(doc.slug).toBe('banku');
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { slug: 1 } });
+      });
+      
+      const fork = await forkService.fork(original, { id: chef('Kofi', 'kofi@example.com').id });
+      
+      expect(fork.slug).toBe(`banku-${fork._id.toString().slice(-6)}`);
+      expect(slugs.has(fork.slug)).toBe(true);
+    });
+    
+    it('passes on other duplicate key errors', async () => {
+      const original = new Recipe({
+        name: { en: 'Fufu' },
+        description: { en: 'Pounded cassava and plantain' },
+        difficulty: 'hard',
+        prepTime: 20,
+        cookTime: 40,
+        author: chef('Ama', 'ama@example.com')
+      });
+      
+      Recipe.collection.insertOne.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000, keyPattern: { importRef: 1 } }));
+      
+      await expect(forkService.fork(original, { id: chef('Kofi', 'kofi@example.com').id })).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+  
+  describe('getLockedFields', () => {
+    const forkOf = premium => new Recipe({ premium, forkedFrom: '64b7f0c2a1b2c3d4e5f60718' });
+    
+    it('keeps forks of premium recipes premium for their author', () => {
+      expect(forkService.getLockedFields(forkOf(true), { role: 'user' })).toEqual(['premium']);
+      expect(forkService.getLockedFields(forkOf(true), { role: 'chef' })).toEqual(['premium']);
+    });
+    
+    it('leaves admins, free forks and originals alone', () => {
+      expect(forkService.getLockedFields(forkOf(true), { role: 'admin' })).toEqual([]);
+      expect(forkService.getLockedFields(forkOf(false), { role: 'user' })).toEqual([]);
+      expect(forkService.getLockedFields(new Recipe({ premium: true }), { role: 'user' })).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
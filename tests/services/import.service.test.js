@@ -0,0 +1,61 @@
+// tests/services/import.service.test.js
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const ImportJob = require('../../src/models/importJob.model');
+const importService = require('../../src/services/import.service');
+
+const author = new mongoose.Types.ObjectId();
+// An invalid row, so no recipe is written
+const rows = [null];
+
+const job = status => ImportJob.hydrate({ _id: new mongoose.Types.ObjectId(), key: 'k1', status, createdBy: author });
+
+describe('importService.run', () => {
+  beforeEach(() => {
+    jest.spyOn(ImportJob.prototype, 'save').mockImplementation(async function save() { return this; });
+  });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('replays a job that completed', async () => {
+    const completed = job('completed');
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue(completed);
+    const create = jest.spyOn(ImportJob, 'create');
+    
+    const result = await importService.run(rows, { format: 'json', key: 'k1', author });
+    
+    expect(result).toEqual({ job: completed, replayed: true });
+    expect(create).not.toHaveBeenCalled();
+  });
+  
+  test('runs a failed job again', async () => {
+    const failed = job('failed');
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue(failed);
+    const claim = jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(job('processing'));
+    
+    const result = await importService.run(rows, { format: 'json', key: 'k1', author });
+    
+    expect(claim).toHaveBeenCalledWith(
+      { key: 'k1', status: 'failed' },
+      expect.objectContaining({ $unset: { error: 1, completedAt: 1 } }),
+      { new: true }
+    );
+    expect(result.replayed).toBeUndefined();
+    expect(result.job.status).toBe('completed');
+    expect(result.job.totals.invalid).toBe(1);
+  });
+  
+  test('replays the run of a concurrent retry that claimed the failed job', async () => {
+    const running = job('processing');
+    jest.spyOn(ImportJob, 'findOne')
+      .mockResolvedValueOnce(job('failed'))
+      .mockResolvedValueOnce(running);
+    jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ImportJob, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+    
+    const result = await importService.run(rows, { format: 'json', key: 'k1', author });
+    
+    expect(result).toEqual({ job: running, replayed: true });
+  });
+});
\ No newline at end of file
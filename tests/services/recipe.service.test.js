@@ -0,0 +1,150 @@
+// tests/services/recipe.service.test.js
+const recipeService = require('../../src/services/recipe.service');
+const { encodeCursor } = require('../../src/utils/cursor');
+
+const ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('recipeService', () => {
+  describe('parseSort', () => {
+    it('reads the field and direction', () => {
+      expect(recipeService.parseSort('-estimatedCost')).toEqual({ key: 'estimatedCost', field: 'estimatedCost.amount', direction: -1 });
+      expect(recipeService.parseSort('views')).toEqual({ key: 'views', field: 'views', direction: 1 });
+    });
+    
+    it('returns null for unsupported sorts', () => {
+      expect(recipeService.parseSort('-author')).toBeNull();
+    });
+  });
+  
+  describe('decodeListCursor', () => {
+    const byDate = recipeService.parseSort('-createdAt');
+    const byViews = recipeService.parseSort('views');
+    const cursorFor = (sort, fields = {}) => encodeCursor({
+      sort: sort.key,
+      order: sort.direction,
+      value: null,
+      id: ID,
+      direction: 'next',
+      ...fields
+    });
+    
+    it('accepts cursors made for the sort', () => {
+      const recipe = { _id: ID, get: () => new Date('2024-05-01T10:00:00.000Z') };
+      
+      expect(recipeService.decodeListCursor(recipeService.encodeListCursor(byDate, recipe, 'prev'), byDate)).toEqual({
+        sort: 'createdAt',
+        order: -1,
+        value: '2024-05-01T10:00:00.000Z',
+        id: ID,
+        direction: 'prev'
+      });
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { value: 12 }), byViews)).toMatchObject({ value: 12 });
+      expect(recipeService.decodeListCursor(cursorFor(byViews), byViews)).toMatchObject({ value: null });
+    });
+    
+    it('rejects cursors made for another sort or order', () => {
+      expect(recipeService.decodeListCursor(cursorFor(byViews), byDate)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { order: -1 }), byViews)).toBeNull();
+    });
+    
+    it('rejects malformed positions', () => {
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { direction: 'up' }), byViews)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { id: { $gt: '' } }), byViews)).toBeNull();
+      expect(recipeService.decodeListCursor('garbage', byViews)).toBeNull();
+    });
+    
+    it('rejects values that are not of the sort field type', () => {
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { value: { $ne: null } }), byViews)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byViews, { value: '12' }), byViews)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byDate, { value: { $gt: '' } }), byDate)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byDate, { value: 'yesterday' }), byDate)).toBeNull();
+      expect(recipeService.decodeListCursor(cursorFor(byDate, { value: 1714557600000 }), byDate)).toBeNull();
+    });
+  });
+  
+  describe('keysetCondition', () => {
+    it('pages ascending past equal values by id', () => {
+      expect(recipeService.keysetCondition('views', 1, { value: 10, id: ID })).toEqual({
+        $or: [
+          { views: { $gt: 10 } },
+          { views: 10, _id: { $gt: ID } }
+        ]
+      });
+    });
+    
+    it('reaches recipes without a value last when descending', () => {
+      expect(recipeService.keysetCondition('views', -1, { value: 10, id: ID })).toEqual({
+        $or: [
+          { views: { $lt: 10 } },
+          { views: 10, _id: { $lt: ID } },
+          { views: null }
+        ]
+      });
+    });
+    
+    it('continues from a recipe without a value', () => {
+      expect(recipeService.keysetCondition('views', 1, { value: null, id: ID })).toEqual({
+        $or: [
+          { views: null, _id: { $gt: ID } },
+          { views: { $ne: null } }
+        ]
+      });
+      expect(recipeService.keysetCondition('views', -1, { value: null, id: ID })).toEqual({
+        views: null,
+        _id: { $lt: ID }
+      });
+    });
+  });
+  
+  describe('scaleIngredient', () => {
+    it('scales the amount and keeps the original', () => {
+      expect(recipeService.scaleIngredient({ name: 'rice', amount: 2, unit: 'cup' }, 1.5)).toEqual({
+        name: 'rice',
+        amount: 3,
+        unit: 'cup',
+        originalAmount: 2,
+        originalUnit: 'cup'
+      });
+    });
+    
+    it('converts to the requested measurement system', () => {
+      expect(recipeService.scaleIngredient({ amount: 500, unit: 'ml' }, 3, 'metric')).toMatchObject({
+        amount: 1.5,
+        unit: 'l',
+        originalAmount: 500,
+        originalUnit: 'ml'
+      });
+    });
+    
+    it('rounds to kitchen quantities', () => {
+      expect(recipeService.scaleIngredient({ amount: 1, unit: 'tsp' }, 1 / 3).amount).toBe(0.375);
+    });
+  });
+  
+  describe('scaleRecipe', () => {
+    const recipe = {
+      servings: 4,
+      ingredients: [{ amount: 200, unit: 'g' }],
+      estimatedCost: { amount: 40, currency: 'GHS' },
+      nutrition: { calories: 300 }
+    };
+    
+    it('scales ingredients, cost and batch nutrition', () => {
+      const scaled = recipeService.scaleRecipe(recipe, 6);
+      
+      expect(scaled.servings).toBe(6);
+      expect(scaled.ingredients[0]).toMatchObject({ amount: 300, unit: 'g' });
+      expect(scaled.estimatedCost).toEqual({ amount: 60, currency: 'GHS', pricePerServing: 10 });
+      expect(scaled.nutrition).toEqual({ calories: 300 });
+      expect(scaled.totalNutrition).toEqual({ calories: 1800 });
+      expect(scaled.scaling).toMatchObject({ originalServings: 4, servings: 6, factor: 1.5 });
+    });
+    
+    it('does not modify the source recipe', () => {
+      recipeService.scaleRecipe(recipe, 2);
+      
+      expect(recipe.servings).toBe(4);
+      expect(recipe.ingredients[0].amount).toBe(200);
+    });
+  });
+});
\ No newline at end of file
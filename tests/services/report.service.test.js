@@ -0,0 +1,55 @@
+// tests/services/report.service.test.js
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Recipe = require('../../src/models/recipe.model');
+const Review = require('../../src/models/review.model');
+const reportService = require('../../src/services/report.service');
+
+const AUTHOR = '64b7f0c2a1b2c3d4e5f60718';
+const free = { id: '64b7f0c2a1b2c3d4e5f60719', role: 'user', subscription: { status: 'free' } };
+const subscriber = { id: '64b7f0c2a1b2c3d4e5f6071a', role: 'user', subscription: { status: 'active' } };
+const author = { id: AUTHOR, role: 'chef', subscription: { status: 'free' } };
+
+describe('reportService', () => {
+  describe('isVisibleTo', () => {
+    let recipe;
+    
+    beforeEach(() => {
+      recipe = new Recipe({ author: AUTHOR, published: true, premium: false });
+      jest.spyOn(Recipe, 'findById').mockImplementation(() => ({ select: async () => recipe }));
+    });
+    
+    afterEach(() => jest.restoreAllMocks());
+    
+    const review = () => new Review({ recipe: recipe._id, user: subscriber.id, rating: 4 });
+    
+    it('lets anyone report reviews of published free recipes', async () => {
+      await expect(reportService.isVisibleTo('review', review(), free)).resolves.toBe(true);
+    });
+    
+    it('refuses reviews of recipes the reporter cannot see', async () => {
+      recipe.published = false;
+      await expect(reportService.isVisibleTo('review', review(), free)).resolves.toBe(false);
+      await expect(reportService.isVisibleTo('review', review(), author)).resolves.toBe(true);
+    });
+    
+    it('refuses premium content to free users other than its author', async () => {
+      recipe.premium = true;
+      
+      await expect(reportService.isVisibleTo('review', review(), free)).resolves.toBe(false);
+      await expect(reportService.isVisibleTo('recipe', recipe, free)).resolves.toBe(false);
+      await expect(reportService.isVisibleTo('review', review(), subscriber)).resolves.toBe(true);
+      await expect(reportService.isVisibleTo('recipe', recipe, author)).resolves.toBe(true);
+    });
+    
+    it('refuses removed content and reviews of deleted recipes', async () => {
+      const removed = review();
+      removed.visibility = 'removed';
+      await expect(reportService.isVisibleTo('review', removed, free)).resolves.toBe(false);
+      
+      const orphan = review();
+      recipe = null;
+      await expect(reportService.isVisibleTo('review', orphan, free)).resolves.toBe(false);
+    });
+  });
+});
\ No newline at end of file
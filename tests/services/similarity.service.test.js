@@ -0,0 +1,80 @@
+// tests/services/similarity.service.test.js
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Recipe = require('../../src/models/recipe.model');
+const similarityService = require('../../src/services/similarity.service');
+
+const recipe = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ingredients: [],
+  tags: [],
+  categories: [],
+  ...fields
+});
+
+// Recipe.find(...).select(...).lean().cursor() over the given documents
+const mockRecipes = (recipes) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: () => recipes[Symbol.iterator]()
+  };
+  jest.spyOn(Recipe, 'find').mockReturnValue(query);
+};
+
+describe('similarityService', () => {
+  let written;
+  
+  beforeEach(() => {
+    written = [];
+    jest.spyOn(Recipe, 'bulkWrite').mockImplementation(async (operations) => {
+      written.push(...operations.map(({ updateOne }) => updateOne));
+    });
+  });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  describe('score', () => {
+    it('is 1 for identical recipes and 0 without overlap', () => {
+      const jollof = similarityService.getFeatures(recipe({
+        ingredients: [{ item: 'rice' }, { item: 'tomatoes' }],
+        tags: ['party'],
+        categories: ['main'],
+        cookingMethod: ['boiling'],
+        region: 'Greater Accra',
+        difficulty: 'medium'
+      }));
+      const empty = similarityService.getFeatures(recipe());
+      
+      expect(similarityService.score(jollof, jollof)).toBe(1);
+      expect(similarityService.score(jollof, empty)).toBe(0);
+    });
+  });
+  
+  describe('computeAll', () => {
+    it('stores the best matches of recipes sharing a feature', async () => {
+      const jollof = recipe({ ingredients: [{ item: 'rice' }, { item: 'tomatoes' }], tags: ['party'] });
+      const waakye = recipe({ ingredients: [{ item: 'rice' }, { item: 'beans' }] });
+      const kelewele = recipe({ ingredients: [{ item: 'plantain' }] });
+      mockRecipes([jollof, waakye, kelewele]);
+      
+      await expect(similarityService.computeAll()).resolves.toEqual({ updated: 3 });
+      
+      const similarOf = ({ _id }) => written.find(update => update.filter._id === String(_id)).update.$set.similar;
+      expect(similarOf(jollof).map(match => match.recipe)).toEqual([String(waakye._id)]);
+      expect(similarOf(kelewele)).toEqual([]);
+      expect(written.every(update => update.timestamps === false)).toBe(true);
+    });
+    
+    it('does not pick candidates through features most recipes share', async () => {
+      const recipes = Array.from({ length: 501 }, () => recipe({ tags: ['ghanaian'] }));
+      mockRecipes(recipes);
+      
+      await similarityService.computeAll();
+      
+      expect(written).toHaveLength(501);
+      expect(written.every(update => update.update.$set.similar.length === 0)).toBe(true);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+// tests/services/viewCounter.service.test.js
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Recipe = require('../../src/models/recipe.model');
+const cacheService = require('../../src/services/cache.service');
+const viewCounterService = require('../../src/services/viewCounter.service');
+
+const JOLLOF = '64b7f0c2a1b2c3d4e5f60718';
+const WAAKYE = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('viewCounterService', () => {
+  describe('flush', () => {
+    // Redis hashes and the recipes' view counts with their flush marks
+    let hashes;
+    let recipes;
+    
+    beforeEach(() => {
+      hashes = new Map();
+      recipes = new Map([[JOLLOF, { views: 0 }], [WAAKYE, { views: 0 }]]);
+      
+      jest.spyOn(cacheService, 'exists').mockImplementation(async key => hashes.has(key));
+      jest.spyOn(cacheService, 'rename').mockImplementation(async (key, newKey) => {
+        hashes.set(newKey, hashes.get(key));
+        hashes.delete(key);
+        return true;
+      });
+      jest.spyOn(cacheService, 'hgetall').mockImplementation(async key => ({ ...hashes.get(key) }));
+      jest.spyOn(cacheService, 'hset').mockImplementation(async (key, field, value) => {
+        hashes.get(key)[field] = value;
+        return true;
+      });
+      jest.spyOn(cacheService, 'del').mockImplementation(async (key) => {
+        hashes.delete(key);
+        return true;
+      });
+      jest.spyOn(Recipe, 'bulkWrite').mockImplementation(async (operations) => {
+        operations.forEach(({ updateOne: { filter, update } }) => {
+          const recipe = recipes.get(filter._id);
+          if (recipe && recipe.viewFlush !== filter.viewFlush.$ne) {
+            recipe.views += update.$inc.views;
+            recipe.viewFlush = update.$set.viewFlush;
+          }
+        });
+      });
+    });
+    
+    afterEach(() => jest.restoreAllMocks());
+    
+    it('adds the pending views to the recipes', async () => {
+      hashes.set('views:pending', { [JOLLOF]: '3', [WAAKYE]: '2' });
+      
+      await expect(viewCounterService.flush()).resolves.toEqual({ recipes: 2, views: 5 });
+      
+      expect(recipes.get(JOLLOF).views).toBe(3);
+      expect(recipes.get(WAAKYE).views).toBe(2);
+      expect(hashes.size).toBe(0);
+    });
+    
+    it('does nothing without pending views', async () => {
+      await expect(viewCounterService.flush()).resolves.toEqual({ recipes: 0, views: 0 });
+      expect(Recipe.bulkWrite).not.toHaveBeenCalled();
+    });
+    
+    it('writes views once when a flush is retried after its writes', async () => {
+      hashes.set('views:pending', { [JOLLOF]: '3', [WAAKYE]: '2' });
+      cacheService.del.mockRejectedValueOnce(new Error('connection lost'));
+      
+      await expect(viewCounterService.flush()).rejects.toThrow('connection lost');
+      expect(recipes.get(JOLLOF).views).toBe(3);
+      
+      // Views counted meanwhile wait for the next flush
+      hashes.set('views:pending', { [JOLLOF]: '1' });
+      
+      await viewCounterService.flush();
+      expect(recipes.get(JOLLOF).views).toBe(3);
+      expect(recipes.get(WAAKYE).views).toBe(2);
+      
+      await viewCounterService.flush();
+      expect(recipes.get(JOLLOF).views).toBe(4);
+    });
+  });
+});
\ No newline at end of file
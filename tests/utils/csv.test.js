@@ -0,0 +1,43 @@
+// tests/utils/csv.test.js
+const { parseCsv, parseCsvRecords } = require('../../src/utils/csv');
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('splits rows and fields', () => {
+      expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+    
+    it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+      expect(parseCsv('name,notes\n"Jollof, smoky","Use ""party"" rice\nand stock"')).toEqual([
+        ['name', 'notes'],
+        ['Jollof, smoky', 'Use "party" rice\nand stock']
+      ]);
+    });
+    
+    it('handles CRLF line endings, a byte order mark and blank lines', () => {
+      expect(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n,\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+    
+    it('keeps empty fields', () => {
+      expect(parseCsv('a,,c')).toEqual([['a', '', 'c']]);
+    });
+  });
+  
+  describe('parseCsvRecords', () => {
+    it('keys rows by the trimmed header names', () => {
+      expect(parseCsvRecords(' name , region\nKenkey , Greater Accra\nBanku')).toEqual([
+        { name: 'Kenkey', region: 'Greater Accra' },
+        { name: 'Banku', region: '' }
+      ]);
+    });
+    
+    it('drops columns without a header', () => {
+      expect(parseCsvRecords('name,\nWaakye,extra')).toEqual([{ name: 'Waakye' }]);
+    });
+    
+    it('returns no records for empty input', () => {
+      expect(parseCsvRecords('')).toEqual([]);
+      expect(parseCsvRecords('name,region')).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,25 @@
+// tests/utils/cursor.test.js
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+describe('cursor', () => {
+  it('round-trips a payload as URL-safe text', () => {
+    const payload = { snapshot: 'a1b2c3', offset: 40, note: '??>>' };
+    const cursor = encodeCursor(payload);
+    
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(payload);
+  });
+  
+  it('returns null for missing or malformed cursors', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(['abc'])).toBeNull();
+    expect(decodeCursor('not a cursor')).toBeNull();
+  });
+  
+  it('returns null unless the payload is an object', () => {
+    expect(decodeCursor(encodeCursor([1, 2]))).toBeNull();
+    expect(decodeCursor(encodeCursor(42))).toBeNull();
+    expect(decodeCursor(encodeCursor(null))).toBeNull();
+  });
+});
\ No newline at end of file
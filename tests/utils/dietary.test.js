@@ -0,0 +1,80 @@
+// tests/utils/dietary.test.js
+const {
+  DIET_NAMES,
+  getIngredientAllergens,
+  classifyIngredients,
+  resolveAllergies,
+  buildPreferenceQuery,
+  preferenceFingerprint
+} = require('../../src/utils/dietary');
+
+describe('dietary', () => {
+  describe('classifyIngredients', () => {
+    it('finds allergens by written name and canonical key', () => {
+      expect(classifyIngredients([{ item: 'groundnut paste' }, { item: 'tomatoes' }])).toEqual({
+        allergens: ['nut'],
+        dietaryFlags: ['vegetarian', 'vegan', 'halal', 'gluten-free', 'dairy-free']
+      });
+      expect(getIngredientAllergens('peanut butter')).toEqual(['nut']);
+    });
+    
+    it('rules out diets through meat and allergens', () => {
+      expect(classifyIngredients([{ item: 'chicken' }, { item: 'fresh milk' }])).toEqual({
+        allergens: ['dairy'],
+        dietaryFlags: ['halal', 'gluten-free', 'nut-free']
+      });
+    });
+    
+    it('skips except phrases even when the key matches', () => {
+      expect(classifyIngredients([{ item: 'coconut milk' }, { item: 'garden egg' }]).allergens).toEqual([]);
+      expect(getIngredientAllergens('corn flour')).toEqual([]);
+    });
+    
+    it('matches whole words only', () => {
+      expect(getIngredientAllergens('crayfish')).toEqual(['shellfish']);
+    });
+    
+    it('suits every diet without ingredients', () => {
+      expect(classifyIngredients([])).toEqual({ allergens: [], dietaryFlags: DIET_NAMES });
+    });
+  });
+  
+  describe('resolveAllergies', () => {
+    it('maps aliases to groups and keeps unknown allergies as ingredients', () => {
+      expect(resolveAllergies(['Peanuts', 'seafood', 'mango', ''])).toEqual({
+        allergens: ['fish', 'nut', 'shellfish'],
+        ingredients: ['mango']
+      });
+    });
+  });
+  
+  describe('buildPreferenceQuery', () => {
+    it('excludes allergens, allergic ingredients and unsuitable diets', () => {
+      expect(buildPreferenceQuery({ allergies: ['peanut', 'mango'], dietary: ['vegan', 'keto'] })).toEqual({
+        allergens: { $exists: true, $nin: ['nut'] },
+        'ingredients.item': { $not: /mango/i },
+        dietaryFlags: { $all: ['vegan'] }
+      });
+    });
+    
+    it('leaves out recipes that were never classified', () => {
+      expect(buildPreferenceQuery({ allergies: ['milk'] }).allergens.$exists).toBe(true);
+    });
+    
+    it('returns null without restrictions', () => {
+      expect(buildPreferenceQuery(null)).toBeNull();
+      expect(buildPreferenceQuery({ allergies: [], dietary: [] })).toBeNull();
+    });
+  });
+  
+  describe('preferenceFingerprint', () => {
+    it('ignores the order of preferences', () => {
+      expect(preferenceFingerprint({ allergies: ['fish', 'peanut'], dietary: ['vegan', 'halal'] }))
+        .toBe(preferenceFingerprint({ allergies: ['peanut', 'fish'], dietary: ['halal', 'vegan'] }));
+    });
+    
+    it('is "none" without restrictions', () => {
+      expect(preferenceFingerprint({})).toBe('none');
+    });
+  });
+});
\ No newline at end of file
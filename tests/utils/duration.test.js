@@ -0,0 +1,57 @@
+// tests/utils/duration.test.js
+const { toIsoDuration, parseIsoDuration, formatDuration } = require('../../src/utils/duration');
+
+describe('duration', () => {
+  describe('toIsoDuration', () => {
+    it('writes minutes as hours and minutes', () => {
+      expect(toIsoDuration(90)).toBe('PT1H30M');
+      expect(toIsoDuration(120)).toBe('PT2H');
+      expect(toIsoDuration(45)).toBe('PT45M');
+      expect(toIsoDuration(0)).toBe('PT0M');
+    });
+    
+    it('rounds to whole minutes', () => {
+      expect(toIsoDuration(29.6)).toBe('PT30M');
+    });
+    
+    it('is undefined for missing or negative times', () => {
+      expect(toIsoDuration(undefined)).toBeUndefined();
+      expect(toIsoDuration(-5)).toBeUndefined();
+    });
+  });
+  
+  describe('parseIsoDuration', () => {
+    it('reads days, hours, minutes and seconds', () => {
+      expect(parseIsoDuration('PT1H30M')).toBe(90);
+      expect(parseIsoDuration('P1DT2H')).toBe(1560);
+      expect(parseIsoDuration('pt90s')).toBe(2);
+      expect(parseIsoDuration(' PT1.5H ')).toBe(90);
+    });
+    
+    it('round-trips toIsoDuration', () => {
+      [0, 15, 60, 75, 600].forEach((minutes) => {
+        expect(parseIsoDuration(toIsoDuration(minutes))).toBe(minutes);
+      });
+    });
+    
+    it('returns null for anything else', () => {
+      expect(parseIsoDuration('P')).toBeNull();
+      expect(parseIsoDuration('PT')).toBeNull();
+      expect(parseIsoDuration('90 minutes')).toBeNull();
+      expect(parseIsoDuration(null)).toBeNull();
+    });
+  });
+  
+  describe('formatDuration', () => {
+    it('formats hours and minutes', () => {
+      expect(formatDuration(75)).toBe('1 h 15 min');
+      expect(formatDuration(60)).toBe('1 h');
+      expect(formatDuration(20)).toBe('20 min');
+    });
+    
+    it('is undefined without a positive time', () => {
+      expect(formatDuration(0)).toBeUndefined();
+      expect(formatDuration('30')).toBeUndefined();
+    });
+  });
+});
\ No newline at end of file
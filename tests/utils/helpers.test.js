@@ -0,0 +1,40 @@
+// tests/utils/helpers.test.js
+const mongoose = require('mongoose');
+const { escapeRegex, maskHiddenProfile } = require('../../src/utils/helpers');
+
+describe('helpers', () => {
+  describe('escapeRegex', () => {
+    it('matches the text literally', () => {
+      const text = 'palm oil (1.5 cups) + salt?';
+      
+      expect(new RegExp(escapeRegex(text)).test(`red ${text}`)).toBe(true);
+      expect(new RegExp(escapeRegex('a.c')).test('abc')).toBe(false);
+    });
+  });
+  
+  describe('maskHiddenProfile', () => {
+    it('hides the name and avatar of hidden and removed profiles', () => {
+      ['hidden', 'removed'].forEach((visibility) => {
+        expect(maskHiddenProfile({ _id: 'u1', name: 'Ama', avatar: 'ama.jpg', visibility })).toEqual({
+          _id: 'u1',
+          name: 'Hidden user',
+          avatar: null,
+          avatarUrl: null,
+          visibility
+        });
+      });
+    });
+    
+    it('leaves visible profiles alone', () => {
+      const profile = { name: 'Kofi', avatar: 'kofi.jpg', visibility: 'visible' };
+      expect(maskHiddenProfile({ ...profile })).toEqual(profile);
+    });
+    
+    it('leaves unpopulated references and missing authors alone', () => {
+      const id = new mongoose.Types.ObjectId();
+      
+      expect(maskHiddenProfile(id)).toBe(id);
+      expect(maskHiddenProfile(null)).toBeNull();
+    });
+  });
+});
\ No newline at end of file
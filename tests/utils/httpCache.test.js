@@ -0,0 +1,95 @@
+// tests/utils/httpCache.test.js
+const express = require('express');
+const request = require('supertest');
+const { recipeValidators, recipeListValidators, isFresh } = require('../../src/utils/httpCache');
+
+const jollof = { _id: 'a1', updatedAt: new Date('2024-05-01T10:00:00Z') };
+const waakye = { _id: 'b2', updatedAt: new Date('2024-05-03T08:30:00Z') };
+
+describe('httpCache', () => {
+  describe('recipeValidators', () => {
+    it('uses the newest updatedAt as Last-Modified', () => {
+      const { etag, lastModified } = recipeValidators([jollof, waakye]);
+      
+      expect(etag).toMatch(/^W\/"[A-Za-z0-9_-]+"$/);
+      expect(lastModified).toEqual(waakye.updatedAt);
+    });
+    
+    it('is stable for the same recipes', () => {
+      expect(recipeValidators([jollof, waakye])).toEqual(recipeValidators([{ ...jollof }, { ...waakye }]));
+      expect(recipeValidators(jollof)).toEqual(recipeValidators([jollof]));
+    });
+    
+    it('changes with an edit, the order or the variant', () => {
+      const { etag } = recipeValidators([jollof, waakye], ['free', 'en']);
+      
+      expect(recipeValidators([{ ...jollof, updatedAt: new Date() }, waakye], ['free', 'en']).etag).not.toBe(etag);
+      expect(recipeValidators([waakye, jollof], ['free', 'en']).etag).not.toBe(etag);
+      expect(recipeValidators([jollof, waakye], ['premium', 'en']).etag).not.toBe(etag);
+    });
+    
+    it('has no Last-Modified without timestamps', () => {
+      expect(recipeValidators([]).lastModified).toBeNull();
+      expect(recipeValidators([{ _id: 'c3' }]).lastModified).toBeNull();
+    });
+  });
+  
+  describe('recipeListValidators', () => {
+    it('has the ETag of the recipes but no Last-Modified', () => {
+      expect(recipeListValidators([jollof, waakye], ['free'])).toEqual({
+        etag: recipeValidators([jollof, waakye], ['free']).etag,
+        lastModified: null
+      });
+    });
+  });
+  
+  describe('isFresh', () => {
+    const validators = recipeValidators([jollof, waakye]);
+    const app = express();
+    
+    app.get('/recipes', (req, res) => {
+      if (isFresh(req, res, validators)) {
+        return res.status(304).end();
+      }
+      
+      return res.json({ success: true });
+    });
+    
+    it('sets the validators and private caching', async () => {
+      const res = await request(app).get('/recipes').expect(200);
+      
+      expect(res.headers.etag).toBe(validators.etag);
+      expect(res.headers['last-modified']).toBe(waakye.updatedAt.toUTCString());
+      expect(res.headers['cache-control']).toBe('private, no-cache');
+      expect(res.headers.vary).toMatch(/Authorization/);
+    });
+    
+    it('is fresh when the client has the current ETag', async () => {
+      await request(app).get('/recipes').set('If-None-Match', validators.etag).expect(304);
+      await request(app).get('/recipes').set('If-None-Match', 'W/"stale"').expect(200);
+    });
+    
+    it('is fresh when nothing changed since If-Modified-Since', async () => {
+      await request(app).get('/recipes').set('If-Modified-Since', waakye.updatedAt.toUTCString()).expect(304);
+      await request(app).get('/recipes').set('If-Modified-Since', jollof.updatedAt.toUTCString()).expect(200);
+    });
+    
+    it('answers If-Modified-Since on lists in full once a recipe left them', async () => {
+      // waakye was unpublished: the newest updatedAt of what's left is older
+      // than the client's copy, but the list changed
+      const list = express();
+      list.get('/recipes', (req, res) => {
+        if (isFresh(req, res, recipeListValidators([jollof]))) {
+          return res.status(304).end();
+        }
+        
+        return res.json({ success: true });
+      });
+      
+      const res = await request(list).get('/recipes').set('If-Modified-Since', waakye.updatedAt.toUTCString()).expect(200);
+      
+      expect(res.headers['last-modified']).toBeUndefined();
+      await request(list).get('/recipes').set('If-None-Match', recipeListValidators([jollof]).etag).expect(304);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+// tests/utils/units.test.js
+const units = require('../../src/utils/units');
+
+describe('units', () => {
+  describe('normalizeUnit', () => {
+    it('resolves aliases and case', () => {
+      expect(units.normalizeUnit('Tablespoons')).toBe('tbsp');
+      expect(units.normalizeUnit(' kilo ')).toBe('kg');
+    });
+    
+    it('returns null for unknown or missing units', () => {
+      expect(units.normalizeUnit('handful')).toBeNull();
+      expect(units.normalizeUnit(undefined)).toBeNull();
+    });
+  });
+  
+  describe('convert', () => {
+    it('converts within a dimension', () => {
+      expect(units.convert(1, 'kg', 'g')).toBe(1000);
+      expect(units.convert(2, 'l', 'ml')).toBe(2000);
+    });
+    
+    it('refuses to cross dimensions', () => {
+      expect(units.convert(1, 'kg', 'ml')).toBeNull();
+      expect(units.convert(1, 'piece', 'g')).toBeNull();
+    });
+  });
+  
+  describe('convertIngredient', () => {
+    it('crosses dimensions through the profile density', () => {
+      expect(units.convertIngredient(1, 'cup', 'g', { density: 0.85 })).toBeCloseTo(201.11, 2);
+    });
+    
+    it('crosses dimensions through per-item weights', () => {
+      expect(units.convertIngredient(2, 'piece', 'kg', { weights: { piece: 150 } })).toBeCloseTo(0.3);
+    });
+    
+    it('returns null without a conversion path', () => {
+      expect(units.convertIngredient(1, 'cup', 'g')).toBeNull();
+      expect(units.convertIngredient(1, 'piece', 'g', { density: 1 })).toBeNull();
+    });
+  });
+  
+  describe('toSystem', () => {
+    it('picks the largest unit that keeps the amount at or above one', () => {
+      expect(units.toSystem(1500, 'ml', 'metric')).toEqual({ amount: 1.5, unit: 'l' });
+      expect(units.toSystem(800, 'g', 'metric')).toEqual({ amount: 800, unit: 'g' });
+      expect(units.toSystem(2900, 'ml', 'local')).toEqual({ amount: 1, unit: 'olonka' });
+    });
+    
+    it('falls back to the smallest unit for tiny amounts', () => {
+      expect(units.toSystem(1, 'ml', 'local').unit).toBe('tsp');
+    });
+    
+    it('leaves count units and unknown systems alone', () => {
+      expect(units.toSystem(2, 'piece', 'metric')).toEqual({ amount: 2, unit: 'piece' });
+      expect(units.toSystem(2, 'cup', 'imperial')).toEqual({ amount: 2, unit: 'cup' });
+    });
+  });
+  
+  describe('roundKitchenQuantity', () => {
+    it('rounds to measurable steps per unit', () => {
+      expect(units.roundKitchenQuantity(2.3, 'g')).toBe(2.5);
+      expect(units.roundKitchenQuantity(123, 'g')).toBe(125);
+      expect(units.roundKitchenQuantity(1234, 'ml')).toBe(1225);
+      expect(units.roundKitchenQuantity(0.3, 'tsp')).toBe(0.25);
+      expect(units.roundKitchenQuantity(1.1, 'cup')).toBe(1);
+      expect(units.roundKitchenQuantity(2.7, 'piece')).toBe(2.5);
+    });
+    
+    it('never rounds a non-zero amount away', () => {
+      expect(units.roundKitchenQuantity(0.01, 'g')).toBe(0.5);
+      expect(units.roundKitchenQuantity(0.01, 'tsp')).toBe(0.125);
+    });
+    
+    it('keeps two decimals for unknown units', () => {
+      expect(units.roundKitchenQuantity(1.378, 'handful')).toBe(1.38);
+    });
+  });
+  
+  describe('parseIngredientLine', () => {
+    it('splits amount, unit, item and notes', () => {
+      expect(units.parseIngredientLine('1 1/2 cups rice, washed')).toEqual({
+        amount: 1.5,
+        unit: 'cup',
+        item: 'rice',
+        notes: 'washed',
+        range: false
+      });
+    });
+    
+    it('reads attached units and unicode fractions', () => {
+      expect(units.parseIngredientLine('250g tomatoes')).toMatchObject({ amount: 250, unit: 'g', item: 'tomatoes' });
+      expect(units.parseIngredientLine('½ tsp salt')).toMatchObject({ amount: 0.5, unit: 'tsp', item: 'salt' });
+    });
+    
+    it('takes the lower bound of ranges', () => {
+      expect(units.parseIngredientLine('2-3 onions')).toMatchObject({ amount: 2, unit: null, item: 'onions', range: true });
+    });
+    
+    it('treats count words as pieces', () => {
+      expect(units.parseIngredientLine('2 cloves garlic (crushed)')).toMatchObject({
+        amount: 2,
+        unit: 'piece',
+        item: 'garlic',
+        notes: 'crushed'
+      });
+    });
+    
+    it('leaves lines without a quantity as the item', () => {
+      expect(units.parseIngredientLine('salt to taste')).toMatchObject({ amount: null, unit: null, item: 'salt to taste' });
+    });
+  });
+});
\ No newline at end of file